@@ -1,7 +1,8 @@
-const { Client, GatewayIntentBits, Permissions } = require('discord.js');
+const { Client, GatewayIntentBits, PermissionFlagsBits, ChannelType, MessageType, SnowflakeUtil, escapeMarkdown } = require('discord.js');
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 // Load environment variables
 dotenv.config();
@@ -30,6 +31,9 @@ const enableFileLogging = process.env.ENABLE_FILE_LOGGING === 'true'; // Default
 // Track active operations per channel
 const activeOperations = new Map();
 
+// Helper function to create a unique operation ID
+const createOperationId = () => `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+
 // Logger function
 function logger(level, message, data = null) {
   // Skip logging if the level is below the minimum
@@ -71,968 +75,6176 @@ function logger(level, message, data = null) {
 // Set default for case-sensitive search (false by default)
 const useCaseSensitiveSearch = process.env.CASE_SENSITIVE_SEARCH === 'true'; // Default is false
 
-// Helper function to check if a message contains the search content
-// Optimized for speed - early returns and minimal processing
-function messageContainsContent(message, searchContent) {
-  // Use lowercase comparison for case-insensitive search
-  const needle = useCaseSensitiveSearch ? searchContent : searchContent.toLowerCase();
+// Regex guard settings - user patterns run in a separate context with a hard timeout
+const REGEX_TIMEOUT_MS = parseInt(process.env.REGEX_TIMEOUT_MS, 10) || 50;
+const MAX_REGEX_LENGTH = 200;
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script('fields.findIndex(text => pattern.test(text))');
+
+// Error raised for search patterns that are invalid or too expensive to run
+class SearchPatternError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchPatternError';
+  }
+}
+
+// Helper function to escape a string for use inside a RegExp
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Helper function to parse a /pattern/flags literal (returns null if the string isn't one)
+function parseRegexLiteral(str) {
+  const match = str.match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)$/);
+  if (!match) return null;
+  return { source: match[1], flags: match[2] };
+}
+
+// Reject patterns that are likely to cause catastrophic backtracking before we ever run them
+function checkRegexComplexity(source) {
+  if (source.length > MAX_REGEX_LENGTH) {
+    throw new SearchPatternError(`Regex is too long (max ${MAX_REGEX_LENGTH} characters).`);
+  }
+  // Nested quantifiers such as (a+)+ or (\w*)*
+  if (/\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/.test(source)) {
+    throw new SearchPatternError('Regex contains nested quantifiers, which can freeze the bot. Please simplify it.');
+  }
+  // Backreferences can also blow up matching time
+  if (/\\[1-9]|\\k</.test(source)) {
+    throw new SearchPatternError('Regex backreferences are not supported.');
+  }
+}
+
+// Characters spammers slip into words to dodge plain matching: zero-width and other invisible formatting characters
+const INVISIBLE_CHARS = /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/;
+// Discord markdown (bold, italics, underline, strikethrough, spoilers, code) and its escapes
+const MARKDOWN_CHARS = /[*_~|`\\]/;
+
+// Look-alike characters folded to the lowercase ASCII letter they imitate
+// Leetspeak digits and symbols share a letter with what they stand for, so "he11o" and "hello" normalize alike
+const CONFUSABLE_CHARS = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'е': 'e', 'ё': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y',
+  'х': 'x', 'ѕ': 's', 'і': 'i', 'ї': 'i', 'ј': 'j', 'ԁ': 'd', 'һ': 'h', 'ӏ': 'i', 'ԛ': 'q', 'ԝ': 'w', 'ү': 'y', 'ь': 'b',
+  // Greek
+  'α': 'a', 'β': 'b', 'ε': 'e', 'η': 'n', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+  'ω': 'w', 'ϲ': 'c', 'ζ': 'z',
+  // Latin look-alikes
+  'ı': 'i', 'ɑ': 'a', 'ɡ': 'g', 'ʟ': 'i', 'ɩ': 'i', 'ß': 'b', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ł': 'i',
+  // Leetspeak
+  '0': 'o', '1': 'i', 'l': 'i', '3': 'e', '4': 'a', '@': 'a', '5': 's', '$': 's', '7': 't', '8': 'b', '9': 'g'
+};
+
+// Helper function to normalize text for obfuscation-resistant matching
+// Folds compatibility characters (NFKD, the per-character form of NFKC), drops combining marks (zalgo), invisible characters
+// and markdown, folds look-alikes and leetspeak to lowercase ASCII and collapses whitespace.
+// Returns the normalized text and, per normalized character, where it came from in the original text (UTF-16 offsets)
+function normalizeText(text) {
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  
+  for (const char of text) {
+    const start = offset;
+    offset += char.length;
+    
+    for (const part of char.normalize('NFKD').toLowerCase()) {
+      if (/\p{M}/u.test(part) || INVISIBLE_CHARS.test(part) || MARKDOWN_CHARS.test(part)) continue;
+      
+      let folded = CONFUSABLE_CHARS[part] || part;
+      if (/\s/.test(folded)) {
+        if (normalized === '' || normalized.endsWith(' ')) continue;
+        folded = ' ';
+      }
+      
+      normalized += folded;
+      starts.push(start);
+      ends.push(offset);
+    }
+  }
+  
+  return { text: normalized, starts, ends };
+}
+
+// Build a matcher for a search term
+// mode: 'substring' (default), 'word' (whole words only) or 'regex'
+// caseSensitive: true/false to override, or null to use the default
+// normalized: match substrings and words on normalized text (see normalizeText), which always ignores case
+function createContentMatcher(term, { mode = 'substring', caseSensitive = null, flags = '', normalized = false } = {}) {
+  if (mode === 'regex') {
+    checkRegexComplexity(term);
+    
+    // Regexes follow their own flags unless case sensitivity was overridden explicitly
+    let regexFlags = flags.replace(/[gy]/g, ''); // Stateful flags break repeated .test() calls
+    if (caseSensitive === true) regexFlags = regexFlags.replace('i', '');
+    if (caseSensitive === false && !regexFlags.includes('i')) regexFlags += 'i';
+    
+    let pattern;
+    try {
+      pattern = new RegExp(term, regexFlags);
+    } catch (err) {
+      throw new SearchPatternError(`Invalid regex: ${err.message}`);
+    }
+    
+    return { term, mode, caseSensitive: !regexFlags.includes('i'), pattern };
+  }
+  
+  if (normalized) {
+    const needle = normalizeText(term).text.trim();
+    if (!needle) {
+      throw new SearchPatternError(`Nothing is left of "${term}" after normalization`);
+    }
+    
+    const pattern = mode === 'word' ? new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(needle)}(?![\\p{L}\\p{N}_])`, 'u') : null;
+    return { term, mode: mode === 'word' ? 'word' : 'substring', caseSensitive: false, normalized: true, needle, pattern };
+  }
   
-  // Check regular message content first (most common case)
-  if (message.content) {
-    const haystack = useCaseSensitiveSearch ? message.content : message.content.toLowerCase();
-    if (haystack.includes(needle)) return true;
+  const isCaseSensitive = caseSensitive !== null ? caseSensitive : useCaseSensitiveSearch;
+  
+  if (mode === 'word') {
+    // Word boundaries that understand non-ASCII letters
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegex(term)}(?![\\p{L}\\p{N}_])`, isCaseSensitive ? 'u' : 'iu');
+    return { term, mode, caseSensitive: isCaseSensitive, pattern };
   }
   
-  // Check embeds if needed
+  return {
+    term,
+    mode: 'substring',
+    caseSensitive: isCaseSensitive,
+    needle: isCaseSensitive ? term : term.toLowerCase()
+  };
+}
+
+// Helper function to describe a matcher for replies and embeds
+function describeMatcher(matcher) {
+  if (matcher.mode === 'regex') return `/${matcher.pattern.source}/${matcher.pattern.flags}`;
+  return `"${matcher.term}"`;
+}
+
+// Helper function to describe the match options that apply to plain-text terms
+function describeMatchOptions(matchOptions) {
+  const isCaseSensitive = matchOptions.caseSensitive !== null ? matchOptions.caseSensitive : useCaseSensitiveSearch;
+  const options = [];
+  if (matchOptions.mode === 'word') options.push('whole word');
+  options.push(matchOptions.normalized ? 'normalized' : isCaseSensitive ? 'case-sensitive' : 'case-insensitive');
+  return options.join(', ');
+}
+
+// Helper function to collect every searchable text field of a message, in priority order
+function getSearchableFields(message) {
+  const fields = [];
+  
+  // Regular message content first (most common case)
+  if (message.content) fields.push({ field: 'content', text: message.content });
+  
   if (message.embeds && message.embeds.length > 0) {
     for (const embed of message.embeds) {
-      // Check embed title
-      if (embed.title) {
-        const haystack = useCaseSensitiveSearch ? embed.title : embed.title.toLowerCase();
-        if (haystack.includes(needle)) return true;
-      }
-      
-      // Check embed description
-      if (embed.description) {
-        const haystack = useCaseSensitiveSearch ? embed.description : embed.description.toLowerCase();
-        if (haystack.includes(needle)) return true;
-      }
+      if (embed.title) fields.push({ field: 'embed title', text: embed.title });
+      if (embed.description) fields.push({ field: 'embed description', text: embed.description });
       
-      // Check embed fields (common in bot messages)
+      // Embed fields (common in bot messages)
       if (embed.fields && embed.fields.length > 0) {
         for (const field of embed.fields) {
-          if (field.name) {
-            const haystack = useCaseSensitiveSearch ? field.name : field.name.toLowerCase();
-            if (haystack.includes(needle)) return true;
-          }
-          if (field.value) {
-            const haystack = useCaseSensitiveSearch ? field.value : field.value.toLowerCase();
-            if (haystack.includes(needle)) return true;
-          }
+          if (field.name) fields.push({ field: 'embed field name', text: field.name });
+          if (field.value) fields.push({ field: 'embed field value', text: field.value });
         }
       }
       
-      // Less common embed properties - only check if nothing found yet
-      if (embed.author && embed.author.name) {
-        const haystack = useCaseSensitiveSearch ? embed.author.name : embed.author.name.toLowerCase();
-        if (haystack.includes(needle)) return true;
-      }
-      
-      if (embed.footer && embed.footer.text) {
-        const haystack = useCaseSensitiveSearch ? embed.footer.text : embed.footer.text.toLowerCase();
-        if (haystack.includes(needle)) return true;
-      }
+      if (embed.author && embed.author.name) fields.push({ field: 'embed author', text: embed.author.name });
+      if (embed.footer && embed.footer.text) fields.push({ field: 'embed footer', text: embed.footer.text });
     }
   }
   
-  // Check webhook name/username fields
+  // Webhook name/username
   if (message.webhookId && message.author && message.author.username) {
-    const haystack = useCaseSensitiveSearch ? message.author.username : message.author.username.toLowerCase();
-    if (haystack.includes(needle)) return true;
+    fields.push({ field: 'webhook name', text: message.author.username });
   }
   
-  // Check attachments (file names) - lower priority
+  // Attachments (file names) - lower priority
   if (message.attachments && message.attachments.size > 0) {
     for (const [_, attachment] of message.attachments) {
-      if (attachment.name) {
-        const haystack = useCaseSensitiveSearch ? attachment.name : attachment.name.toLowerCase();
-        if (haystack.includes(needle)) return true;
-      }
+      if (attachment.name) fields.push({ field: 'attachment name', text: attachment.name });
     }
   }
   
-  return false;
+  return fields;
 }
 
-// Helper function to determine message source type for logging
-function getMessageSourceType(message) {
-  if (message.webhookId) {
-    return 'webhook';
-  } else if (message.author.bot) {
-    return 'bot';
-  } else if (message.embeds && message.embeds.length > 0) {
-    return 'embed';
-  } else {
-    return 'user';
+// Run a user-supplied regex against a list of texts with a hard timeout
+function runGuardedRegex(pattern, texts) {
+  regexContext.pattern = pattern;
+  regexContext.fields = texts;
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIMEOUT_MS });
+  } catch (err) {
+    if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new SearchPatternError(`Regex took longer than ${REGEX_TIMEOUT_MS}ms on a single message and was stopped. Please simplify it.`);
+    }
+    throw err;
+  } finally {
+    regexContext.fields = null;
   }
 }
 
-// Helper function to sleep for a given amount of time
-const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-// Helper function to format date in a readable format
-function formatDate(timestamp) {
-  const date = new Date(timestamp);
-  return date.toISOString().replace('T', ' ').split('.')[0]; // YYYY-MM-DD HH:MM:SS
-}
-
-// Helper function to create a message link
-function getMessageLink(message) {
-  return `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`;
-}
-
-// Helper function to parse the max age parameter
-function parseMaxAge(maxAgeStr) {
-  if (!maxAgeStr) return null;
+// Helper function to find which field of a message matches the search term
+// Returns { field, text } for the first matching field, or null
+// Normalized matches also carry match: { start, end }, the original text that matched
+function findContentMatch(message, matcher) {
+  const fields = getSearchableFields(message);
+  if (fields.length === 0) return null;
   
-  // Try to parse as a simple number (days)
-  const numberDays = parseInt(maxAgeStr, 10);
-  if (!isNaN(numberDays)) {
-    return numberDays * 24 * 60 * 60 * 1000; // Convert days to milliseconds
+  if (matcher.mode === 'regex') {
+    const index = runGuardedRegex(matcher.pattern, fields.map(f => f.text));
+    return index >= 0 ? fields[index] : null;
   }
   
-  // Parse more complex format: 1d2h3m (1 day, 2 hours, 3 minutes)
-  const dayMatch = maxAgeStr.match(/(\d+)d/);
-  const hourMatch = maxAgeStr.match(/(\d+)h/);
-  const minMatch = maxAgeStr.match(/(\d+)m/);
-  
-  let totalMs = 0;
+  if (matcher.normalized) {
+    for (const entry of fields) {
+      const haystack = normalizeText(entry.text);
+      let index;
+      if (matcher.mode === 'word') {
+        const wordMatch = matcher.pattern.exec(haystack.text);
+        index = wordMatch ? wordMatch.index : -1;
+      } else {
+        index = haystack.text.indexOf(matcher.needle);
+      }
+      if (index >= 0) {
+        return { ...entry, match: { start: haystack.starts[index], end: haystack.ends[index + matcher.needle.length - 1] } };
+      }
+    }
+    return null;
+  }
   
-  if (dayMatch) totalMs += parseInt(dayMatch[1], 10) * 24 * 60 * 60 * 1000;
-  if (hourMatch) totalMs += parseInt(hourMatch[1], 10) * 60 * 60 * 1000;
-  if (minMatch) totalMs += parseInt(minMatch[1], 10) * 60 * 1000;
+  for (const entry of fields) {
+    if (matcher.mode === 'word') {
+      if (matcher.pattern.test(entry.text)) return entry;
+    } else {
+      const haystack = matcher.caseSensitive ? entry.text : entry.text.toLowerCase();
+      if (haystack.includes(matcher.needle)) return entry;
+    }
+  }
   
-  return totalMs > 0 ? totalMs : null;
+  return null;
 }
 
-// Helper function to get a human-readable representation of max age
-function formatMaxAge(maxAgeMs) {
-  if (!maxAgeMs) return "No limit";
-  
-  const days = Math.floor(maxAgeMs / (24 * 60 * 60 * 1000));
-  const hours = Math.floor((maxAgeMs % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
-  const minutes = Math.floor((maxAgeMs % (60 * 60 * 1000)) / (60 * 1000));
-  
-  let result = [];
-  if (days > 0) result.push(`${days} day${days !== 1 ? 's' : ''}`);
-  if (hours > 0) result.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
-  if (minutes > 0) result.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
-  
-  return result.join(', ');
+// Helper function to check if a message contains the search content
+function messageContainsContent(message, matcher) {
+  return findContentMatch(message, matcher) !== null;
 }
 
-// Optimized helper function to delete messages in bulk (when possible)
-async function bulkDeleteMessages(channel, messages, progressCallback, operationId) {
-  // Group messages by age for optimal deletion
-  const twoWeeksAgo = Date.now() - 14 * 24 * 60 * 60 * 1000;
-  const recentMessages = [];
-  const olderMessages = [];
-  
-  messages.forEach(msg => {
-    if (msg.createdTimestamp > twoWeeksAgo) {
-      recentMessages.push(msg);
-    } else {
-      olderMessages.push(msg);
-    }
-  });
-  
-  logger('info', `Deletion strategy: ${recentMessages.length} recent messages for bulk deletion, ${olderMessages.length} older messages for individual deletion`);
-  
-  let deletedCount = 0;
-  let skippedCount = 0;
-  let lastProgressReport = 0;
-  const progressInterval = Math.max(10, Math.floor(messages.length / 10)); // Report progress 10 times
+// Error raised when a command can't be parsed - keeps the position of the offending token
+class QueryParseError extends Error {
+  constructor(message, token = null) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.position = token ? token.position : null;
+    this.length = token ? Math.max(1, token.raw.length) : 1;
+  }
+}
+
+// Split a command's arguments into tokens for the query parser
+// Produces strings ("..."), regexes (/.../flags), parentheses, "-" prefixes and bare words
+function tokenizeQuery(input) {
+  const tokens = [];
+  let i = 0;
   
-  // Process recent messages in bulk (up to 100 at a time)
-  if (recentMessages.length > 0) {
-    // Split into chunks of max 100
-    const bulkChunks = [];
-    for (let i = 0; i < recentMessages.length; i += 100) {
-      bulkChunks.push(recentMessages.slice(i, i + 100));
+  while (i < input.length) {
+    const char = input[i];
+    
+    if (/\s/.test(char)) {
+      i++;
+      continue;
     }
     
-    logger('info', `Created ${bulkChunks.length} bulk deletion batches`);
+    const start = i;
     
-    // Process each chunk
-    for (const chunk of bulkChunks) {
-      // Check if operation was aborted
-      if (!activeOperations.has(operationId)) {
-        logger('info', `Operation ${operationId} was aborted during bulk deletion`);
-        return { deletedCount, skippedCount, aborted: true };
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char === '(' ? 'lparen' : 'rparen', raw: char, position: start });
+      i++;
+    } else if (char === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new QueryParseError('Unterminated quote', { raw: input.slice(start), position: start });
+      }
+      tokens.push({ type: 'string', value: input.slice(i + 1, end), raw: input.slice(start, end + 1), position: start });
+      i = end + 1;
+    } else if (char === '/') {
+      // Find the closing slash, skipping escaped characters
+      let end = i + 1;
+      while (end < input.length && input[end] !== '/') {
+        end += input[end] === '\\' ? 2 : 1;
       }
+      if (end >= input.length) {
+        throw new QueryParseError('Unterminated regex', { raw: input.slice(start), position: start });
+      }
+      const flagsMatch = input.slice(end + 1).match(/^[a-z]*/);
+      const raw = input.slice(start, end + 1 + flagsMatch[0].length);
+      const literal = parseRegexLiteral(raw);
+      if (!literal) {
+        throw new QueryParseError('Empty regex', { raw, position: start });
+      }
+      tokens.push({ type: 'regex', source: literal.source, flags: literal.flags, raw, position: start });
+      i = start + raw.length;
+    } else if (char === '-' && i + 1 < input.length && !/[\s-]/.test(input[i + 1])) {
+      tokens.push({ type: 'minus', raw: '-', position: start });
+      i++;
+    } else {
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
       
-      try {
-        // Extract IDs for bulk deletion
-        const messageIds = chunk.map(msg => msg.id);
-        await channel.bulkDelete(messageIds);
-        
-        deletedCount += messageIds.length;
-        if (deletedCount - lastProgressReport >= progressInterval) {
-          lastProgressReport = deletedCount;
-          await progressCallback(deletedCount, skippedCount, messages.length);
-        }
-        
-        // Brief pause between bulk operations
-        await sleep(800); // Reduced from 1000ms
-      } catch (err) {
-        logger('error', `Bulk deletion failed, falling back to individual deletion for this batch`, err);
-        
-        // If bulk delete fails, try individually but with parallel processing
-        const deletionPromises = chunk.map(async msg => {
-          // Check again if operation was aborted
-          if (!activeOperations.has(operationId)) {
-            return { success: false, aborted: true };
-          }
-          
-          try {
-            await msg.delete();
-            return { success: true };
-          } catch (err) {
-            logger('error', `Failed to delete message with ID ${msg.id}`, err);
-            return { success: false };
-          }
-        });
-        
-        // Wait for all deletions to complete
-        const results = await Promise.allSettled(deletionPromises);
-        
-        // Check if any result was aborted
-        if (results.some(r => r.status === 'fulfilled' && r.value.aborted)) {
-          logger('info', `Operation ${operationId} was aborted during individual deletion fallback`);
-          return { deletedCount, skippedCount, aborted: true };
+      // Filters can take a quoted value, e.g. from:webhook:"Some Name"
+      if (input[i] === '"' && input[i - 1] === ':') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new QueryParseError('Unterminated quote', { raw: input.slice(start), position: start });
         }
-        
-        // Count successes and failures
-        const successCount = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-        const failCount = results.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success)).length;
-        
-        deletedCount += successCount;
-        skippedCount += failCount;
-        
-        // Add smaller delay for individual deletes
-        await sleep(1000);
+        i = end + 1;
+      }
+      
+      const raw = input.slice(start, i);
+      const upper = raw.toUpperCase();
+      if (upper === 'AND' || upper === 'OR' || upper === 'NOT') {
+        tokens.push({ type: upper.toLowerCase(), raw, position: start });
+      } else {
+        tokens.push({ type: 'word', value: raw, raw, position: start });
       }
     }
   }
   
-  // Process older messages individually (these can't be bulk deleted)
-  // Use parallel processing with controlled concurrency
-  if (olderMessages.length > 0) {
-    // Check if operation was aborted
-    if (!activeOperations.has(operationId)) {
-      logger('info', `Operation ${operationId} was aborted before processing older messages`);
-      return { deletedCount, skippedCount, aborted: true };
+  return tokens;
+}
+
+// Recursive descent parser for the query grammar:
+//   query   := or
+//   or      := and (OR and)*
+//   and     := unary ([AND] unary)*
+//   unary   := (NOT | -) unary | primary
+//   primary := "text" | /regex/flags | filter | ( or )
+function parseQueryTokens(tokens, matchOptions) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const endToken = () => {
+    const last = tokens[tokens.length - 1];
+    return last ? { raw: '', position: last.position + last.raw.length } : { raw: '', position: 0 };
+  };
+  
+  function parseOr() {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      index++;
+      children.push(parseAnd());
     }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+  
+  function parseAnd() {
+    const children = [parseUnary()];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') index++;
+      children.push(parseUnary());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+  
+  function parseUnary() {
+    const token = peek();
+    if (token && (token.type === 'not' || token.type === 'minus')) {
+      index++;
+      return { type: 'not', child: parseUnary() };
+    }
+    return parsePrimary();
+  }
+  
+  function parsePrimary() {
+    const token = peek();
+    const previous = tokens[index - 1];
     
-    logger('info', `Processing ${olderMessages.length} older messages individually with parallel processing`);
-    
-    // Process in larger parallel batches with controlled concurrency
-    const BATCH_SIZE = 25; // Process 25 messages at a time
-    const MAX_CONCURRENT = 5; // But with at most 5 concurrent operations
+    if (!token) {
+      throw new QueryParseError(previous ? `Expected a search term after "${previous.raw}"` : 'Expected a search term', endToken());
+    }
     
-    for (let i = 0; i < olderMessages.length; i += BATCH_SIZE) {
-      // Check if operation was aborted
-      if (!activeOperations.has(operationId)) {
-        logger('info', `Operation ${operationId} was aborted during older message batch processing`);
-        return { deletedCount, skippedCount, aborted: true };
+    if (token.type === 'string') {
+      index++;
+      if (token.value.trim() === '') {
+        throw new QueryParseError('Search terms cannot be empty', token);
       }
-      
-      const batch = olderMessages.slice(i, i + BATCH_SIZE);
-      const batchResults = [];
-      
-      // Process messages in smaller concurrent chunks
-      for (let j = 0; j < batch.length; j += MAX_CONCURRENT) {
-        // Check if operation was aborted
-        if (!activeOperations.has(operationId)) {
-          logger('info', `Operation ${operationId} was aborted during concurrent chunk processing`);
-          return { deletedCount, skippedCount, aborted: true };
-        }
-        
-        const concurrentBatch = batch.slice(j, j + MAX_CONCURRENT);
-        
-        const deletionPromises = concurrentBatch.map(async msg => {
-          // Check if operation was aborted for each message
-          if (!activeOperations.has(operationId)) {
-            return { success: false, aborted: true };
-          }
-          
-          try {
-            await msg.delete();
-            return { success: true };
-          } catch (err) {
-            logger('error', `Failed to delete message with ID ${msg.id}`, err);
-            return { success: false };
-          }
-        });
-        
-        const results = await Promise.all(deletionPromises);
-        
-        // Check if any result was aborted
-        if (results.some(r => r.aborted)) {
-          logger('info', `Operation ${operationId} was aborted during concurrent message deletion`);
-          return { deletedCount, skippedCount, aborted: true };
-        }
-        
-        batchResults.push(...results);
-        
-        // Small delay between concurrent batches
-        if (j + MAX_CONCURRENT < batch.length) {
-          await sleep(200);
-        }
+      return { type: 'term', matcher: createTermMatcher(token, token.value, matchOptions) };
+    }
+    
+    if (token.type === 'regex') {
+      index++;
+      const matcher = createTermMatcher(token, token.source, {
+        mode: 'regex',
+        flags: token.flags,
+        caseSensitive: matchOptions.caseSensitive
+      });
+      return { type: 'term', matcher };
+    }
+    
+    if (token.type === 'lparen') {
+      index++;
+      if (peek() && peek().type === 'rparen') {
+        throw new QueryParseError('Empty parentheses', peek());
       }
-      
-      // Count successes and failures
-      const successCount = batchResults.filter(r => r.success).length;
-      const failCount = batchResults.filter(r => !r.success).length;
-      
-      deletedCount += successCount;
-      skippedCount += failCount;
-      
-      if (deletedCount - lastProgressReport >= progressInterval) {
-        lastProgressReport = deletedCount;
-        await progressCallback(deletedCount, skippedCount, messages.length);
+      const node = parseOr();
+      if (!peek() || peek().type !== 'rparen') {
+        throw new QueryParseError('Missing closing parenthesis for "("', token);
       }
-      
-      // Rate limit prevention between batches
-      await sleep(1500); // Reduced from 2500ms
+      index++;
+      return node;
+    }
+    
+    if (token.type === 'word') {
+      index++;
+      const filter = createFilterNode(token);
+      if (filter) return filter;
+      throw new QueryParseError(`Unexpected "${token.raw}" - search terms must be in quotes`, token);
     }
+    
+    throw new QueryParseError(`Unexpected "${token.raw}"`, token);
   }
   
-  return { deletedCount, skippedCount, aborted: false };
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new QueryParseError(`Unexpected "${tokens[index].raw}"`, tokens[index]);
+  }
+  return tree;
 }
 
-// Create a new client instance with only needed intents to improve performance
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-    GatewayIntentBits.MessageContent,
-    GatewayIntentBits.GuildMembers
-  ],
-  // Optimize the REST rate limit handling
-  rest: {
-    retries: 3,
-    timeout: 15000
+// Build a term matcher, pointing any pattern error at the token that caused it
+function createTermMatcher(token, term, options) {
+  try {
+    return createContentMatcher(term, options);
+  } catch (err) {
+    if (err instanceof SearchPatternError) {
+      throw new QueryParseError(err.message, token);
+    }
+    throw err;
   }
-});
+}
 
-// When the client is ready, run this code (only once)
-client.once('ready', () => {
-  logger('info', `Bot started and logged in as ${client.user.tag}`);
-  logger('info', `Current date: ${new Date().toISOString()}`);
-  logger('info', `Log level set to: ${logLevelStr.toUpperCase()}`);
-  logger('info', `Case-sensitive search: ${useCaseSensitiveSearch}`);
-  logger('info', `File logging: ${enableFileLogging}`);
-});
+// Helper function to check if a message contains a link
+function messageHasLink(message) {
+  if (message.content && /https?:\/\/\S+/i.test(message.content)) return true;
+  return !!(message.embeds && message.embeds.some(embed => embed.url));
+}
 
-// Message fetching with optimized speed
-async function fetchMessages(channel, options = {}, operationId) {
+// Query parameters that only track where a link was shared - dropped before links are compared
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|si|ref|ref_src|_ga)$/i;
+
+// Helper function to normalize a URL for comparing, accepting values without a scheme too
+// Returns { host, path } with the lowercase punycode host minus www. and the lowercase path and query minus tracking parameters,
+// or null for anything that isn't a web URL
+function normalizeUrl(value) {
+  let url;
   try {
-    // Use a shorter timeout for faster response
-    return await channel.messages.fetch(options);
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`);
   } catch (err) {
-    // Check if operation was aborted
-    if (operationId && !activeOperations.has(operationId)) {
-      logger('info', `Operation ${operationId} was aborted during message fetching`);
-      return { size: 0, aborted: true };
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  
+  for (const key of Array.from(url.searchParams.keys())) {
+    if (TRACKING_PARAMS.test(key)) url.searchParams.delete(key);
+  }
+  
+  const host = url.hostname.replace(/\.$/, '').replace(/^www\./, '');
+  return { host, path: `${url.pathname}${url.search}`.toLowerCase() };
+}
+
+// Helper function to extract the normalized links of a message
+// Covers plain and masked ([text](url)) links in the content, embed titles, descriptions and fields, and the embed URLs
+function extractMessageLinks(message) {
+  const texts = [];
+  const links = [];
+  
+  if (message.content) texts.push(message.content);
+  for (const embed of message.embeds || []) {
+    if (embed.url) links.push(embed.url);
+    if (embed.author && embed.author.url) links.push(embed.author.url);
+    if (embed.title) texts.push(embed.title);
+    if (embed.description) texts.push(embed.description);
+    for (const field of embed.fields || []) {
+      texts.push(field.name, field.value);
+    }
+  }
+  
+  for (const text of texts) {
+    const found = (text || '').match(/https?:\/\/[^\s<>"'`()[\]|]+/gi) || [];
+    links.push(...found.map(link => link.replace(/[.,;:!?]+$/, '')));
+  }
+  
+  return links.map(normalizeUrl).filter(Boolean);
+}
+
+// Helper function to parse a link pattern: example.com, *.example.com (the domain and its subdomains, or *.gift for a whole TLD)
+// or a path prefix such as example.com/gift. Returns { host, wildcard, path } or null if the value isn't one
+function parseLinkPattern(value) {
+  const wildcard = value.startsWith('*.');
+  const url = normalizeUrl(wildcard ? value.substring(2) : value);
+  if (!url || (!wildcard && !url.host.includes('.'))) return null;
+  return { host: url.host, wildcard, path: url.path === '/' ? '' : url.path };
+}
+
+// Helper function to check whether a normalized link matches a link pattern
+function matchesLinkPattern(pattern, link) {
+  const hostMatches = link.host === pattern.host || (pattern.wildcard && link.host.endsWith(`.${pattern.host}`));
+  return hostMatches && link.path.startsWith(pattern.path);
+}
+
+// Helper function to show a link pattern in its normalized form
+function describeLinkPattern(pattern) {
+  return `${pattern.wildcard ? '*.' : ''}${pattern.host}${pattern.path}`;
+}
+
+// Message predicates for the structured search filters, keyed by "key:value"
+const SEARCH_FILTERS = {
+  'from:user': message => !message.webhookId && !message.author.bot,
+  'from:bot': message => !message.webhookId && message.author.bot,
+  'from:webhook': message => !!message.webhookId,
+  'has:attachment': message => !!(message.attachments && message.attachments.size > 0),
+  'has:link': messageHasLink,
+  'has:embed': message => !!(message.embeds && message.embeds.length > 0),
+  'has:mention': message => !!message.mentions && (
+    message.mentions.everyone || message.mentions.users.size > 0 || message.mentions.roles.size > 0
+  ),
+  'is:pinned': message => message.pinned,
+  'is:reply': message => message.type === MessageType.Reply,
+  // Member filters - they look the author up in the member cache, which is filled before searching
+  'has:no-roles': message => !message.webhookId && !!message.member && message.member.roles.cache.size <= 1, // Only @everyone
+  'from:left': message => !message.webhookId && !message.guild.members.cache.has(message.author.id)
+};
+
+// Filters that need the guild's members loaded
+const MEMBER_FILTERS = ['has:no-roles', 'from:left'];
+
+// Helper function to build a filter node from a key:value token (returns null if the token isn't a filter)
+function createFilterNode(token) {
+  const match = token.value.match(/^([a-z-]+):(.+)$/i);
+  if (!match) return null;
+  
+  const key = match[1].toLowerCase();
+  const value = match[2];
+  
+  // Named webhooks: from:webhook:"Name" or from:webhook:Name
+  const webhookMatch = `${key}:${value}`.match(/^from:webhook:(?:"([^"]*)"|(.+))$/i);
+  if (webhookMatch) {
+    const name = webhookMatch[1] !== undefined ? webhookMatch[1] : webhookMatch[2];
+    if (name.trim() === '') {
+      throw new QueryParseError('Webhook name cannot be empty', token);
+    }
+    const needle = name.toLowerCase();
+    return {
+      type: 'filter',
+      raw: `from:webhook:"${name}"`,
+      // The value can also be the webhook's ID
+      test: message => !!message.webhookId && (message.webhookId === name || (!!message.author && (message.author.username || '').toLowerCase() === needle))
+    };
+  }
+  
+  // Attachment extensions: ext:png or ext:.png
+  if (key === 'ext') {
+    const extension = value.replace(/^\./, '').toLowerCase();
+    if (!/^[a-z0-9]+$/.test(extension)) {
+      throw new QueryParseError(`Invalid file extension "${value}"`, token);
+    }
+    return {
+      type: 'filter',
+      raw: `ext:${extension}`,
+      test: message => !!message.attachments && message.attachments.some(attachment =>
+        !!attachment.name && attachment.name.toLowerCase().endsWith(`.${extension}`)
+      )
+    };
+  }
+  
+  // Raid filters: joined-within:1h (members who joined recently), account-age:<7d or account-age:>30d
+  if (key === 'joined-within') {
+    const ageMs = parseDuration(value);
+    if (!ageMs) {
+      throw new QueryParseError(`Invalid age "${value}" - use e.g. joined-within:1h or joined-within:2d`, token);
+    }
+    return {
+      type: 'filter',
+      raw: `joined-within:${value}`,
+      needsMembers: true,
+      test: message => !message.webhookId && !!message.member && !!message.member.joinedTimestamp &&
+        message.member.joinedTimestamp > Date.now() - ageMs
+    };
+  }
+  
+  if (key === 'account-age') {
+    const ageMatch = value.match(/^([<>]?)(.+)$/);
+    const ageMs = parseDuration(ageMatch[2]);
+    if (!ageMs) {
+      throw new QueryParseError(`Invalid age "${value}" - use e.g. account-age:<7d (younger than) or account-age:>30d (older than)`, token);
+    }
+    const older = ageMatch[1] === '>';
+    return {
+      type: 'filter',
+      raw: `account-age:${older ? '>' : '<'}${ageMatch[2]}`,
+      test: message => !message.webhookId && (older ?
+        message.author.createdTimestamp < Date.now() - ageMs :
+        message.author.createdTimestamp > Date.now() - ageMs)
+    };
+  }
+  
+  // Links: domain:example.com, domain:*.example.com, link:example.com/path, or domain:blocklist for the guild's blocklist
+  if (key === 'domain' || key === 'link') {
+    if (value.toLowerCase() === 'blocklist') {
+      return {
+        type: 'filter',
+        raw: `${key}:blocklist`,
+        test: message => {
+          const patterns = getBlocklistPatterns(message.guild.id);
+          return patterns.length > 0 && extractMessageLinks(message).some(link => patterns.some(pattern => matchesLinkPattern(pattern, link)));
+        }
+      };
+    }
+    
+    const pattern = parseLinkPattern(value);
+    if (!pattern) {
+      throw new QueryParseError(`Invalid ${key} "${value}" - use e.g. ${key === 'domain' ? 'domain:example.com or domain:*.example.com' : 'link:example.com/path'}`, token);
+    }
+    if (key === 'domain' && pattern.path) {
+      throw new QueryParseError(`domain: only takes a domain - use link:${value} to match a path`, token);
+    }
+    return {
+      type: 'filter',
+      raw: `${key}:${describeLinkPattern(pattern)}`,
+      test: message => extractMessageLinks(message).some(link => matchesLinkPattern(pattern, link))
+    };
+  }
+  
+  const filterName = `${key}:${value.toLowerCase()}`;
+  if (SEARCH_FILTERS[filterName]) {
+    return { type: 'filter', raw: filterName, needsMembers: MEMBER_FILTERS.includes(filterName), test: SEARCH_FILTERS[filterName] };
+  }
+  
+  const knownFilters = [...Object.keys(SEARCH_FILTERS), 'from:webhook:"Name"', 'ext:<extension>', 'joined-within:<age>', 'account-age:<age>', 'domain:<domain>', 'link:<url>', 'domain:blocklist'];
+  throw new QueryParseError(`Unknown filter "${token.raw}". Available filters: ${knownFilters.join(', ')}`, token);
+}
+
+// Helper function to check whether a query tree contains any text terms
+function queryHasTerms(node) {
+  if (node.type === 'term') return true;
+  if (node.type === 'not') return queryHasTerms(node.child);
+  if (node.children) return node.children.some(queryHasTerms);
+  return false;
+}
+
+// Helper function to check whether a query tree uses member filters
+function queryNeedsMembers(node) {
+  if (node.type === 'filter') return !!node.needsMembers;
+  if (node.type === 'not') return queryNeedsMembers(node.child);
+  if (node.children) return node.children.some(queryNeedsMembers);
+  return false;
+}
+
+// Helper function to find the short text terms that make a query match far too much, e.g. "a" or "a" OR "spam"
+// Returns an empty list when the query is narrowed enough (an AND is broad only if every part is, filters never are)
+function findBroadTerms(node, minLength) {
+  switch (node.type) {
+    case 'term':
+      return node.matcher.term.length < minLength ? [describeMatcher(node.matcher)] : [];
+    case 'and': {
+      const parts = node.children.map(child => findBroadTerms(child, minLength));
+      return parts.every(part => part.length > 0) ? parts.flat() : [];
+    }
+    case 'or':
+      return node.children.flatMap(child => findBroadTerms(child, minLength));
+    default:
+      return [];
+  }
+}
+
+// Helper function to check whether a query only excludes, e.g. -"announcement" or -"a" -"b" - it then matches nearly every message
+function isExclusionOnly(node) {
+  switch (node.type) {
+    case 'not':
+      return true;
+    case 'and':
+      return node.children.every(isExclusionOnly);
+    case 'or':
+      return node.children.some(isExclusionOnly);
+    default:
+      return false;
+  }
+}
+
+// Helper function to evaluate a query tree against a message
+// Matching term fields are collected into `hits` when provided (negated terms never add hits)
+function evaluateQuery(node, message, hits = null) {
+  switch (node.type) {
+    case 'term': {
+      const hit = findContentMatch(message, node.matcher);
+      if (hit && hits) hits.push(hit);
+      return hit !== null;
+    }
+    case 'filter':
+      return node.test(message);
+    case 'and':
+      return node.children.every(child => evaluateQuery(child, message, hits));
+    case 'or':
+      return node.children.some(child => evaluateQuery(child, message, hits));
+    case 'not':
+      return !evaluateQuery(node.child, message);
+    default:
+      throw new Error(`Unknown query node type: ${node.type}`);
+  }
+}
+
+// Helper function to render a query tree back into readable text
+function describeQuery(node, parentType = null) {
+  switch (node.type) {
+    case 'term':
+      return describeMatcher(node.matcher);
+    case 'filter':
+      return node.raw;
+    case 'not':
+      return `-${describeQuery(node.child, 'not')}`;
+    case 'and': {
+      const text = node.children.map(child => describeQuery(child, 'and')).join(' ');
+      return parentType === 'not' ? `(${text})` : text;
+    }
+    case 'or': {
+      const text = node.children.map(child => describeQuery(child, 'or')).join(' OR ');
+      return parentType === 'and' || parentType === 'not' ? `(${text})` : text;
+    }
+    default:
+      return '';
+  }
+}
+
+// Helper function to format a parse error with a caret pointing at the bad token
+function formatQueryParseError(error, input) {
+  if (error.position === null) return error.message;
+  
+  // Keep the snippet short for long commands
+  const windowStart = Math.max(0, error.position - 40);
+  const snippet = input.slice(windowStart, windowStart + 80);
+  const caret = ' '.repeat(error.position - windowStart) + '^'.repeat(Math.min(error.length, 80 - (error.position - windowStart)));
+  
+  return `${error.message} (at position ${error.position + 1}):\n\`\`\`\n${snippet}\n${caret}\n\`\`\``;
+}
+
+// Helper function to parse an after:/before:/around: bound
+// Accepts a message link, a message ID, or a UTC date/time (YYYY-MM-DD, YYYY-MM-DD HH:MM[:SS])
+function parseBoundValue(value, token) {
+  const linkMatch = value.match(/^<?https?:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/channels\/(?:\d+|@me)\/\d+\/(\d+)>?$/);
+  if (linkMatch || /^\d{17,20}$/.test(value)) {
+    const messageId = linkMatch ? linkMatch[1] : value;
+    return { id: messageId, label: `message ${messageId} (${formatDate(SnowflakeUtil.timestampFrom(messageId))})` };
+  }
+  
+  const dateMatch = value.match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (dateMatch) {
+    const [, day, hours = '0', minutes = '0', seconds = '0'] = dateMatch;
+    const timestamp = Date.parse(`${day}T${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds.padStart(2, '0')}Z`);
+    if (isNaN(timestamp)) {
+      throw new QueryParseError(`Invalid date "${value}"`, token);
+    }
+    if (timestamp < SnowflakeUtil.epoch) {
+      throw new QueryParseError(`Date "${value}" is before Discord existed`, token);
+    }
+    return { id: SnowflakeUtil.generate({ timestamp }).toString(), label: formatDate(timestamp) };
+  }
+  
+  throw new QueryParseError(`Invalid bound "${value}" - use a date (YYYY-MM-DD [HH:MM]), a message ID or a message link`, token);
+}
+
+// Query of retention schedules that don't give one - matches every message
+const MATCH_ALL_QUERY = { type: 'filter', raw: 'all messages', test: () => true };
+
+// Helper function to recognize an author selector: @user, user:<id>, @role or webhook:<id|"Name">
+// Returns null for anything else
+function parseAuthorSelector(value) {
+  const userMatch = value.match(/^<@!?(\d+)>$|^user:(\d{17,20})$/i);
+  if (userMatch) return { kind: 'user', value: userMatch[1] || userMatch[2] };
+  
+  const roleMatch = value.match(/^<@&(\d+)>$/);
+  if (roleMatch) return { kind: 'role', value: roleMatch[1] };
+  
+  const webhookMatch = value.match(/^webhook:(?:"([^"]*)"|(.+))$/i);
+  if (webhookMatch) {
+    const webhook = (webhookMatch[1] !== undefined ? webhookMatch[1] : webhookMatch[2]).trim();
+    return webhook ? { kind: 'webhook', value: webhook } : null;
+  }
+  
+  return null;
+}
+
+// Helper function to create an empty author selection - the included authors are alternatives, exclusions always win
+function createAuthorSelection() {
+  return { userIds: [], roleIds: [], webhooks: [], excludedUserIds: [], excludedRoleIds: [], excludedWebhooks: [] };
+}
+
+// Helper function to check whether an author selection includes anyone (without inclusions every author matches)
+function hasAuthorInclusions(authors) {
+  return authors.userIds.length > 0 || authors.roleIds.length > 0 || authors.webhooks.length > 0;
+}
+
+// Helper function to check whether an author selection needs the guild's members loaded (for roles)
+function authorsNeedMembers(authors) {
+  return authors.roleIds.length > 0 || authors.excludedRoleIds.length > 0;
+}
+
+// Helper function to check whether the author of a message is selected
+// Webhooks match by webhook ID or name; roles are looked up in the member cache
+function matchesAuthors(authors, message) {
+  const matchesWebhook = webhooks => webhooks.some(webhook =>
+    webhook === message.webhookId || webhook.toLowerCase() === (message.author.username || '').toLowerCase());
+  const hasRole = roleIds => !!message.member && roleIds.some(roleId => message.member.roles.cache.has(roleId));
+  
+  if (message.webhookId) {
+    if (matchesWebhook(authors.excludedWebhooks)) return false;
+    return !hasAuthorInclusions(authors) || matchesWebhook(authors.webhooks);
+  }
+  
+  if (authors.excludedUserIds.includes(message.author.id) || hasRole(authors.excludedRoleIds)) return false;
+  return !hasAuthorInclusions(authors) || authors.userIds.includes(message.author.id) || hasRole(authors.roleIds);
+}
+
+// Helper function to describe an author selection, e.g. "<@1>, members of <@&2> except <@3>"
+function describeAuthors(authors) {
+  const describe = (userIds, roleIds, webhooks) => [
+    ...userIds.map(userId => `<@${userId}>`),
+    ...roleIds.map(roleId => `members of <@&${roleId}>`),
+    ...webhooks.map(webhook => /^\d+$/.test(webhook) ? `webhook ${webhook}` : `webhook "${webhook}"`)
+  ];
+  const included = describe(authors.userIds, authors.roleIds, authors.webhooks);
+  const excluded = describe(authors.excludedUserIds, authors.excludedRoleIds, authors.excludedWebhooks);
+  
+  return (included.length > 0 ? included.join(', ') : 'all users') + (excluded.length > 0 ? ` except ${excluded.join(', ')}` : '');
+}
+
+// Safety rules that keep matching messages out of every deletion, with how the kept messages are described
+const PROTECTION_RULES = {
+  pinned: 'pinned',
+  users: 'from protected users',
+  roles: 'from protected roles'
+};
+
+// Helper function to resolve what an operation keeps: the guild's protected authors and pinned messages, minus the overrides
+function resolveProtection(guildId, safety) {
+  const protectedAuthors = getGuildSetting(guildId, 'protected');
+  return {
+    pinned: !safety.includePinned,
+    userIds: safety.includeProtected ? [] : protectedAuthors.userIds,
+    roleIds: safety.includeProtected ? [] : protectedAuthors.roleIds
+  };
+}
+
+// Helper function to find the safety rule that keeps a message, or null if it may be deleted
+function getProtectionRule(protection, message) {
+  if (protection.pinned && message.pinned) return 'pinned';
+  if (message.webhookId) return null;
+  if (protection.userIds.includes(message.author.id)) return 'users';
+  if (message.member && protection.roleIds.some(roleId => message.member.roles.cache.has(roleId))) return 'roles';
+  return null;
+}
+
+// Helper function to describe the matches kept per safety rule, e.g. "3 pinned, 1 from protected roles" (empty if none)
+function describeProtectedCounts(counts) {
+  return Object.entries(PROTECTION_RULES)
+    .filter(([rule]) => counts[rule] > 0)
+    .map(([rule, description]) => `${counts[rule]} ${description}`)
+    .join(', ');
+}
+
+// Helper function to list the safety overrides a command used, for the mod log
+function describeSafetyOverrides(safety) {
+  const overrides = [];
+  if (safety.includePinned) overrides.push('--include-pinned');
+  if (safety.includeProtected) overrides.push('--include-protected');
+  if (safety.allowBroad) overrides.push('--allow-broad');
+  return overrides.join(' ');
+}
+
+// Helper function to parse the arguments of a search command
+// Expected format: <query> [@users|user:<id>|@roles|webhook:<id|name>] [-@user|-@role...] [maxAge] [older:<age>] [after:<bound>] [before:<bound>] [around:<bound>] [#channels|in:category:<name>|in:guild] [--word] [--case-sensitive|--ignore-case] [--include-pinned] [--include-protected] [--allow-broad]
+// config holds the guild's defaults for case sensitivity, archiving and the minimum term length, the global defaults apply without it
+// With allowEmptyQuery a missing query matches every message (retention schedules); searches always need one
+function parseSearchArgs(args, config = {}, { allowEmptyQuery = false } = {}) {
+  const tokens = tokenizeQuery(args);
+  const matchOptions = { mode: 'substring', caseSensitive: config['case-sensitive'] !== undefined ? config['case-sensitive'] : null, normalized: false };
+  const queryTokens = [];
+  const authors = createAuthorSelection();
+  let maxAgeMs = null;
+  let minAgeMs = null;
+  const bounds = { after: null, before: null, around: null };
+  const scope = { guild: false, channelIds: [], categories: [] };
+  let archive = config.archive !== undefined ? config.archive : archiveBeforeDelete;
+  let dryRun = false;
+  let reportFormat = 'csv';
+  let minCopies = null;
+  // Overrides of the safety rules - pinned and protected messages are kept and short terms refused unless these are given
+  const safety = { includePinned: false, includeProtected: false, allowBroad: false };
+  
+  // Pull the options out of the token stream - everything else belongs to the query
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    
+    // Excluded authors: -@user, -user:<id>, -@role, -webhook:<id|name>
+    const nextToken = tokens[i + 1];
+    const excludedAuthor = token.type === 'minus' && nextToken && nextToken.type === 'word' ? parseAuthorSelector(nextToken.value) : null;
+    if (excludedAuthor) {
+      const list = { user: authors.excludedUserIds, role: authors.excludedRoleIds, webhook: authors.excludedWebhooks }[excludedAuthor.kind];
+      if (!list.includes(excludedAuthor.value)) list.push(excludedAuthor.value);
+      i++;
+      continue;
+    }
+    
+    if (token.type !== 'word') {
+      queryTokens.push(token);
+      continue;
+    }
+    
+    const author = parseAuthorSelector(token.value);
+    const boundMatch = token.value.match(/^(after|before|around):(?:"([^"]*)"|(.*))$/i);
+    const channelMatch = token.value.match(/^<#(\d+)>$/);
+    const categoryMatch = token.value.match(/^in:category:(?:"([^"]*)"|(.+))$/i);
+    const olderMatch = token.value.match(/^older:(.*)$/i);
+    
+    if (channelMatch) {
+      if (!scope.channelIds.includes(channelMatch[1])) scope.channelIds.push(channelMatch[1]);
+    } else if (categoryMatch) {
+      const category = categoryMatch[1] !== undefined ? categoryMatch[1] : categoryMatch[2];
+      scope.categories.push({ value: category.replace(/^<#(\d+)>$/, '$1'), token });
+    } else if (/^in:(guild|server)$/i.test(token.value)) {
+      scope.guild = true;
+    } else if (/^in:here$/i.test(token.value)) {
+      // The default scope - accepted for clarity
+    } else if (author) {
+      const list = { user: authors.userIds, role: authors.roleIds, webhook: authors.webhooks }[author.kind];
+      if (!list.includes(author.value)) list.push(author.value);
+    } else if (boundMatch) {
+      const boundName = boundMatch[1].toLowerCase();
+      let value = boundMatch[2] !== undefined ? boundMatch[2] : boundMatch[3];
+      
+      // Allow an unquoted time after the date, e.g. before:2026-10-10 18:00
+      if (/^\d{4}-\d{2}-\d{2}$/.test(value) && nextToken && nextToken.type === 'word' && /^\d{1,2}:\d{2}(:\d{2})?$/.test(nextToken.value)) {
+        value += ` ${nextToken.value}`;
+        i++;
+      }
+      
+      if (bounds[boundName]) {
+        throw new QueryParseError(`${boundName}: was given more than once`, token);
+      }
+      bounds[boundName] = parseBoundValue(value.trim(), token);
+    } else if (olderMatch) {
+      if (minAgeMs) {
+        throw new QueryParseError('older: was given more than once', token);
+      }
+      minAgeMs = parseDuration(olderMatch[1]);
+      if (!minAgeMs) {
+        throw new QueryParseError(`Invalid age "${olderMatch[1]}" - use e.g. older:7d, older:12h or older:2d6h`, token);
+      }
+    } else if (token.value === '--no-archive') {
+      archive = false;
+    } else if (token.value === '--dry-run') {
+      dryRun = true;
+    } else if (/^--format=/.test(token.value)) {
+      reportFormat = token.value.substring('--format='.length).toLowerCase();
+      if (reportFormat !== 'csv' && reportFormat !== 'json') {
+        throw new QueryParseError('Report format must be csv or json', token);
+      }
+    } else if (/^--min-copies=/.test(token.value)) {
+      minCopies = parseInt(token.value.substring('--min-copies='.length), 10);
+      if (!/^--min-copies=\d+$/.test(token.value) || minCopies < 2 || minCopies > 1000) {
+        throw new QueryParseError('--min-copies must be a whole number from 2 to 1000', token);
+      }
+    } else if (token.value === '--include-pinned') {
+      safety.includePinned = true;
+    } else if (token.value === '--include-protected') {
+      safety.includeProtected = true;
+    } else if (token.value === '--allow-broad') {
+      safety.allowBroad = true;
+    } else if (token.value === '--word') {
+      matchOptions.mode = 'word';
+    } else if (token.value === '--normalized') {
+      matchOptions.normalized = true;
+    } else if (token.value === '--case-sensitive') {
+      matchOptions.caseSensitive = true;
+    } else if (token.value === '--ignore-case') {
+      matchOptions.caseSensitive = false;
+    } else if (token.value.startsWith('--')) {
+      throw new QueryParseError(`Unknown option "${token.value}"`, token);
+    } else if (/^\d+$|^(?=\d)(\d+d)?(\d+h)?(\d+m)?$/.test(token.value)) {
+      if (maxAgeMs) {
+        throw new QueryParseError('Max age was given more than once', token);
+      }
+      maxAgeMs = parseMaxAge(token.value);
+      if (maxAgeMs === null && /^\d+$/.test(token.value)) {
+        throw new QueryParseError(`"${token.value}" is too large for a max age in days (at most ${MAX_AGE_DAYS}) - use after:, before: or around: for a message ID`, token);
+      }
+    } else {
+      queryTokens.push(token);
+    }
+  }
+  
+  if (scope.guild && (scope.channelIds.length > 0 || scope.categories.length > 0)) {
+    throw new QueryParseError('in:guild already covers every channel - remove the channel and category options');
+  }
+  
+  if (bounds.around && (bounds.after || bounds.before)) {
+    throw new QueryParseError('around: already sets the time window - remove after: and before:');
+  }
+  
+  if (bounds.after && bounds.before && BigInt(bounds.after.id) >= BigInt(bounds.before.id)) {
+    throw new QueryParseError('The after: bound must be earlier than the before: bound');
+  }
+  
+  if (minAgeMs && maxAgeMs && minAgeMs >= maxAgeMs) {
+    throw new QueryParseError('The older: age must be less than the max age');
+  }
+  
+  if (queryTokens.length === 0 && allowEmptyQuery) {
+    return { query: MATCH_ALL_QUERY, matchOptions, authors, maxAgeMs, minAgeMs, bounds, scope, archive, dryRun, reportFormat, minCopies, safety, broadTerms: [] };
+  }
+  
+  if (queryTokens.length === 0) {
+    throw new QueryParseError(
+      'Please provide a search term in quotes or at least one filter: >seekndelete "message content" [@users] [maxAge]',
+      args.length > 0 ? { raw: '', position: args.length } : null
+    );
+  }
+  
+  const query = parseQueryTokens(queryTokens, matchOptions);
+  
+  // One-letter terms like "a" match nearly the whole history, so they need an explicit --allow-broad
+  const minTermLength = config['min-term-length'] !== undefined ? config['min-term-length'] : MIN_TERM_LENGTH;
+  const broadTerms = findBroadTerms(query, minTermLength);
+  if (broadTerms.length > 0 && !safety.allowBroad) {
+    throw new QueryParseError(
+      `${broadTerms.join(', ')} ${broadTerms.length === 1 ? 'is' : 'are'} shorter than ${minTermLength} characters and would match far too many messages. ` +
+      'Use a longer term, narrow it down with a filter or another term, or add --allow-broad.'
+    );
+  }
+  
+  // Where a missing query may match everything (schedules, dupes), only excluding is no broader than that
+  if (isExclusionOnly(query) && !allowEmptyQuery) {
+    if (!safety.allowBroad) {
+      throw new QueryParseError(
+        `${describeQuery(query)} matches whatever it doesn't exclude, so nearly every message in scope. ` +
+        'Add a term or filter the messages must match, or add --allow-broad.'
+      );
+    }
+    broadTerms.push(describeQuery(query));
+  }
+  
+  return { query, matchOptions, authors, maxAgeMs, minAgeMs, bounds, scope, archive, dryRun, reportFormat, minCopies, safety, broadTerms };
+}
+
+// Helper function to turn the parsed time options into snowflake bounds for fetching
+// Both bounds are exclusive. The max and min (older:) ages are relative to now, so resolve right before searching.
+function resolveSearchBounds(maxAgeMs, bounds, minAgeMs = null) {
+  let afterId = bounds.after ? bounds.after.id : null;
+  let afterLabel = bounds.after ? `after ${bounds.after.label}` : null;
+  
+  if (maxAgeMs) {
+    const cutoffId = SnowflakeUtil.generate({ timestamp: Date.now() - maxAgeMs }).toString();
+    // Keep whichever lower bound is more recent
+    if (!afterId || BigInt(cutoffId) > BigInt(afterId)) {
+      afterId = cutoffId;
+      afterLabel = `within the last ${formatMaxAge(maxAgeMs)}`;
+    }
+  }
+  
+  let beforeId = bounds.before ? bounds.before.id : null;
+  let beforeLabel = bounds.before ? `before ${bounds.before.label}` : null;
+  
+  if (minAgeMs) {
+    const cutoffId = SnowflakeUtil.generate({ timestamp: Date.now() - minAgeMs }).toString();
+    // Keep whichever upper bound is older
+    if (!beforeId || BigInt(cutoffId) < BigInt(beforeId)) {
+      beforeId = cutoffId;
+      beforeLabel = `older than ${formatMaxAge(minAgeMs)}`;
+    }
+  }
+  
+  return {
+    afterId,
+    beforeId,
+    // The messages surrounding an around: bound, as Discord picks them for a jump to that message
+    aroundId: bounds.around ? bounds.around.id : null,
+    // Page forward from an explicit after: bound, otherwise walk back from the newest (or before:) message
+    forward: !!bounds.after && !beforeId && afterId === bounds.after.id,
+    description: [bounds.around ? `around ${bounds.around.label}` : null, afterLabel, beforeLabel].filter(Boolean).join(' and ')
+  };
+}
+
+// Helper function to check if a message ID falls inside the resolved bounds
+function isWithinBounds(messageId, bounds) {
+  const id = BigInt(messageId);
+  if (bounds.afterId && id <= BigInt(bounds.afterId)) return false;
+  if (bounds.beforeId && id >= BigInt(bounds.beforeId)) return false;
+  return true;
+}
+
+// Channel types that can contain threads (forum and media channels only contain threads)
+const THREAD_PARENT_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum, ChannelType.GuildMedia];
+
+// Helper function to check whether the bot can read the history of a channel
+function canSearchChannel(channel) {
+  if (!channel.isTextBased || !channel.isTextBased()) return false;
+  const permissions = channel.permissionsFor(channel.guild.members.me);
+  return !!permissions && permissions.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.ReadMessageHistory]);
+}
+
+// Helper function to fetch all archived threads of a channel (public, plus private if we're allowed)
+async function fetchArchivedThreads(channel) {
+  const threads = [];
+  const types = channel.type === ChannelType.GuildText ? ['public', 'private'] : ['public'];
+  
+  for (const type of types) {
+    let before;
+    let hasMore = true;
+    
+    while (hasMore) {
+      try {
+        const result = await channel.threads.fetchArchived({ type, before, limit: 100 });
+        threads.push(...result.threads.values());
+        hasMore = result.hasMore && result.threads.size > 0;
+        before = hasMore ? result.threads.last() : undefined;
+      } catch (err) {
+        // Private archived threads need Manage Threads - just skip them
+        logger('debug', `Could not fetch ${type} archived threads of #${channel.name}: ${err.message}`);
+        hasMore = false;
+      }
+    }
+  }
+  
+  return threads;
+}
+
+// Resolve the search scope into the list of channels to search
+// The default scope is just the current channel; explicit scopes include active and archived threads and forum posts
+async function resolveSearchChannels(ctx, scope) {
+  const guild = ctx.guild;
+  const explicitScope = scope.guild || scope.channelIds.length > 0 || scope.categories.length > 0;
+  if (!explicitScope) return { channels: [ctx.channel], description: 'in this channel' };
+  
+  // Collect the top-level channels first
+  const parents = new Map();
+  const addChannel = channel => {
+    if (channel.type === ChannelType.GuildCategory) {
+      for (const child of guild.channels.cache.filter(c => c.parentId === channel.id).values()) {
+        parents.set(child.id, child);
+      }
+    } else {
+      parents.set(channel.id, channel);
+    }
+  };
+  
+  if (scope.guild) {
+    await guild.channels.fetch();
+    for (const channel of guild.channels.cache.values()) {
+      if (!channel.isThread() && channel.type !== ChannelType.GuildCategory) parents.set(channel.id, channel);
+    }
+  }
+  
+  for (const channelId of scope.channelIds) {
+    const channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId).catch(() => null);
+    if (!channel) {
+      throw new QueryParseError(`Channel <#${channelId}> was not found in this server`);
+    }
+    addChannel(channel);
+  }
+  
+  for (const category of scope.categories) {
+    const channel = guild.channels.cache.find(c => c.type === ChannelType.GuildCategory &&
+      (c.id === category.value || c.name.toLowerCase() === category.value.toLowerCase()));
+    if (!channel) {
+      throw new QueryParseError(`Category "${category.value}" was not found in this server`, category.token);
+    }
+    addChannel(channel);
+  }
+  
+  // Then add their threads - active ones come from one guild-wide call, archived ones per parent
+  const channels = new Map();
+  for (const channel of parents.values()) {
+    if (channel.isThread()) {
+      channels.set(channel.id, channel);
+    } else if (channel.type !== ChannelType.GuildForum && channel.type !== ChannelType.GuildMedia) {
+      channels.set(channel.id, channel);
+    }
+  }
+  
+  const activeThreads = await guild.channels.fetchActiveThreads();
+  for (const thread of activeThreads.threads.values()) {
+    if (parents.has(thread.parentId)) channels.set(thread.id, thread);
+  }
+  
+  for (const channel of parents.values()) {
+    if (!THREAD_PARENT_TYPES.includes(channel.type)) continue;
+    for (const thread of await fetchArchivedThreads(channel)) {
+      channels.set(thread.id, thread);
+    }
+  }
+  
+  const searchable = Array.from(channels.values()).filter(canSearchChannel);
+  logger('info', `Resolved search scope to ${searchable.length} channels (${channels.size - searchable.length} skipped without access)`);
+  
+  const description = scope.guild ? 'in the whole server' :
+    searchable.length === 1 ? `in <#${searchable[0].id}>` : `in ${searchable.length} channels and threads`;
+  return { channels: searchable, description };
+}
+
+// Directory for persisted bot data (saved searches etc.)
+const dataDir = path.join(__dirname, 'data');
+if (!fs.existsSync(dataDir)) {
+  fs.mkdirSync(dataDir);
+}
+
+// Helper function to load a JSON file from the data directory
+function loadDataFile(fileName, fallback) {
+  const filePath = path.join(dataDir, fileName);
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    logger('error', `Failed to read data file ${fileName}, using defaults`, err);
+    return fallback;
+  }
+}
+
+// Helper function to save a JSON file to the data directory
+// Writes to a temporary file first so a crash can't leave a half-written file behind
+function saveDataFile(fileName, data) {
+  const filePath = path.join(dataDir, fileName);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { encoding: 'utf8' });
+  fs.renameSync(tempPath, filePath);
+}
+
+// Saved searches per guild, used for slash command autocomplete
+const MAX_SAVED_SEARCHES = 25; // Discord shows at most 25 autocomplete choices
+const savedSearches = loadDataFile('saved-searches.json', {});
+
+// Helper function to get the saved searches of a guild
+function getSavedSearches(guildId) {
+  return savedSearches[guildId] || [];
+}
+
+// Helper function to save (or overwrite) a named search for a guild
+function saveSearch(guildId, name, args, userId) {
+  const searches = getSavedSearches(guildId).filter(search => search.name.toLowerCase() !== name.toLowerCase());
+  if (searches.length >= MAX_SAVED_SEARCHES) {
+    throw new Error(`This server already has ${MAX_SAVED_SEARCHES} saved searches.`);
+  }
+  
+  searches.push({ name, args, createdBy: userId, createdAt: new Date().toISOString() });
+  savedSearches[guildId] = searches;
+  saveDataFile('saved-searches.json', savedSearches);
+  logger('info', `Saved search "${name}" for guild ${guildId}`, { args });
+}
+
+// Per-guild domain blocklists matched by domain:blocklist: { [guildId]: [link patterns] }
+// Administrators manage them with the blocklist command; the patterns are stored normalized
+const MAX_BLOCKLIST_ENTRIES = 1000;
+const domainBlocklists = loadDataFile('domain-blocklist.json', {});
+// Parsed patterns per guild, rebuilt after every change
+const blocklistPatterns = new Map();
+
+// Helper function to get the parsed blocklist patterns of a guild
+function getBlocklistPatterns(guildId) {
+  if (!blocklistPatterns.has(guildId)) {
+    blocklistPatterns.set(guildId, (domainBlocklists[guildId] || []).map(parseLinkPattern).filter(Boolean));
+  }
+  return blocklistPatterns.get(guildId);
+}
+
+// Helper function to store a guild's blocklist
+function saveBlocklist(guildId, entries) {
+  if (entries.length > 0) {
+    domainBlocklists[guildId] = entries;
+  } else {
+    delete domainBlocklists[guildId];
+  }
+  blocklistPatterns.delete(guildId);
+  saveDataFile('domain-blocklist.json', domainBlocklists);
+}
+
+// Global defaults for the per-guild settings
+const DEFAULT_PREFIX = process.env.COMMAND_PREFIX || '>seekndelete';
+const CONFIRMATION_TIMEOUT_SECONDS = parseInt(process.env.CONFIRMATION_TIMEOUT_SECONDS, 10) || 60;
+const MAX_MESSAGES_PER_OPERATION = parseInt(process.env.MAX_MESSAGES_PER_OPERATION, 10) || null; // Default is no limit
+const CONFIRMATION_THRESHOLD = parseInt(process.env.CONFIRMATION_THRESHOLD, 10) || 500;
+const MIN_TERM_LENGTH = parseInt(process.env.MIN_TERM_LENGTH, 10) || 3;
+
+// Error for a setting value that doesn't validate
+class ConfigValueError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigValueError';
+  }
+}
+
+// Helper function to parse an on/off setting
+function parseBooleanSetting(value) {
+  const normalized = value.toLowerCase();
+  if (['on', 'true', 'yes', 'enable', 'enabled'].includes(normalized)) return true;
+  if (['off', 'false', 'no', 'disable', 'disabled'].includes(normalized)) return false;
+  throw new ConfigValueError('Use on or off.');
+}
+
+// Helper function to parse a whole number setting within bounds
+function parseIntegerSetting(value, min, max) {
+  if (!/^\d+$/.test(value) || parseInt(value, 10) < min || parseInt(value, 10) > max) {
+    throw new ConfigValueError(`Use a whole number from ${min} to ${max}.`);
+  }
+  return parseInt(value, 10);
+}
+
+const formatBooleanSetting = value => value ? 'on' : 'off';
+
+// Per-guild settings - the env vars are the global defaults, each guild can override them with the config command
+// parse() validates a typed value and returns what gets stored, format() shows a stored value
+const GUILD_SETTINGS = {
+  'prefix': {
+    description: 'Prefix of the text command',
+    defaultValue: () => DEFAULT_PREFIX,
+    parse: value => {
+      if (!/^\S{1,32}$/.test(value)) throw new ConfigValueError('The prefix must be 1 to 32 characters without spaces.');
+      return value;
+    },
+    format: value => `\`${value}\``
+  },
+  'case-sensitive': {
+    description: 'Default case sensitivity of plain-text search terms',
+    defaultValue: () => useCaseSensitiveSearch,
+    parse: parseBooleanSetting,
+    format: formatBooleanSetting
+  },
+  'confirm-timeout': {
+    description: 'Seconds to review and confirm a deletion',
+    defaultValue: () => CONFIRMATION_TIMEOUT_SECONDS,
+    // Slash command confirmations are ephemeral and can only be edited for 15 minutes
+    parse: value => parseIntegerSetting(value.replace(/s$/i, ''), 10, 600),
+    format: value => `${value}s`
+  },
+  'max-messages': {
+    description: 'Most messages one operation may delete',
+    defaultValue: () => MAX_MESSAGES_PER_OPERATION,
+    parse: value => value.toLowerCase() === 'none' ? null : parseIntegerSetting(value, 1, 1000000),
+    format: value => value === null ? 'no limit' : String(value)
+  },
+  'confirm-threshold': {
+    description: 'Deletions above this many messages need the count typed in or a second member\'s approval',
+    defaultValue: () => CONFIRMATION_THRESHOLD,
+    parse: value => value.toLowerCase() === 'none' ? null : parseIntegerSetting(value, 1, 1000000),
+    format: value => value === null ? 'none' : String(value)
+  },
+  'min-term-length': {
+    description: 'Shortest text term a query may rely on without --allow-broad',
+    defaultValue: () => MIN_TERM_LENGTH,
+    parse: value => parseIntegerSetting(value, 1, 100),
+    format: value => String(value)
+  },
+  'dupes-min-length': {
+    description: 'Shortest normalized text dupes compares, shorter messages are never counted as copies',
+    defaultValue: () => DEFAULT_DUPLICATE_MIN_LENGTH,
+    parse: value => parseIntegerSetting(value, 1, 100),
+    format: value => String(value)
+  },
+  'protected': {
+    description: 'Users and roles whose messages are kept unless a command uses --include-protected',
+    defaultValue: () => ({ userIds: [], roleIds: [] }),
+    parse: (value, guild) => {
+      const protectedAuthors = { userIds: [], roleIds: [] };
+      if (['none', 'off'].includes(value.toLowerCase())) return protectedAuthors;
+      
+      for (const word of value.split(/\s+/)) {
+        const selector = parseAuthorSelector(word);
+        if (!selector || selector.kind === 'webhook') throw new ConfigValueError('Use @users, user:<id> and @roles, or none.');
+        if (selector.kind === 'role' && !guild.roles.cache.has(selector.value)) {
+          throw new ConfigValueError(`<@&${selector.value}> is not a role of this server.`);
+        }
+        
+        const list = selector.kind === 'role' ? protectedAuthors.roleIds : protectedAuthors.userIds;
+        if (!list.includes(selector.value)) list.push(selector.value);
+      }
+      return protectedAuthors;
+    },
+    format: value => [...value.userIds.map(userId => `<@${userId}>`), ...value.roleIds.map(roleId => `<@&${roleId}>`)].join(', ') || 'none'
+  },
+  'mod-log': {
+    description: 'Channel that gets the audit trail of every operation',
+    defaultValue: () => null,
+    parse: (value, guild) => {
+      if (['none', 'off'].includes(value.toLowerCase())) return null;
+      
+      const channelMatch = value.match(/^<#(\d+)>$/) || value.match(/^(\d{17,20})$/);
+      const channel = channelMatch ? guild.channels.cache.get(channelMatch[1]) : null;
+      if (!channel || !channel.isTextBased()) throw new ConfigValueError('Use a #channel of this server, or none.');
+      
+      // The bot has to be able to post the embeds and archives there
+      const required = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks, PermissionFlagsBits.AttachFiles];
+      const permissions = channel.permissionsFor(guild.members.me);
+      if (!permissions || !required.every(permission => permissions.has(permission))) {
+        throw new ConfigValueError(`I need View Channel, Send Messages, Embed Links and Attach Files in <#${channel.id}> to use it as the mod log.`);
+      }
+      return channel.id;
+    },
+    format: value => value ? `<#${value}>` : 'none'
+  },
+  'quarantine-channel': {
+    description: 'Staff channel the quarantine action reposts matches to before deleting them',
+    defaultValue: () => null,
+    parse: (value, guild) => {
+      if (['none', 'off'].includes(value.toLowerCase())) return null;
+      
+      // Reposts go through a webhook, and only text and announcement channels have webhooks
+      const channelMatch = value.match(/^<#(\d+)>$/) || value.match(/^(\d{17,20})$/);
+      const channel = channelMatch ? guild.channels.cache.get(channelMatch[1]) : null;
+      if (!channel || ![ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(channel.type)) {
+        throw new ConfigValueError('Use a text #channel of this server, or none.');
+      }
+      
+      const required = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.ManageWebhooks];
+      const permissions = channel.permissionsFor(guild.members.me);
+      if (!permissions || !required.every(permission => permissions.has(permission))) {
+        throw new ConfigValueError(`I need View Channel, Send Messages and Manage Webhooks in <#${channel.id}> to use it as the quarantine channel.`);
+      }
+      return channel.id;
+    },
+    format: value => value ? `<#${value}>` : 'none'
+  },
+  'archive': {
+    description: 'Archive matched messages before deleting them',
+    defaultValue: () => archiveBeforeDelete,
+    parse: parseBooleanSetting,
+    format: formatBooleanSetting
+  }
+};
+
+// Settings each guild changed: { [guildId]: { [setting]: value } }
+const guildConfig = loadDataFile('guild-config.json', {});
+
+// Mod-log channels used to be stored in their own file - fold them into the guild settings once
+const legacyModLogChannels = loadDataFile('mod-log-channels.json', null);
+if (legacyModLogChannels) {
+  for (const [guildId, channelId] of Object.entries(legacyModLogChannels)) {
+    guildConfig[guildId] = { 'mod-log': channelId, ...guildConfig[guildId] };
+  }
+  saveDataFile('guild-config.json', guildConfig);
+  fs.unlinkSync(path.join(dataDir, 'mod-log-channels.json'));
+}
+
+// Helper function to get one setting of a guild, falling back to the global default
+function getGuildSetting(guildId, key) {
+  const overrides = guildConfig[guildId];
+  return overrides && key in overrides ? overrides[key] : GUILD_SETTINGS[key].defaultValue();
+}
+
+// Helper function to get every setting of a guild
+function getGuildConfig(guildId) {
+  const config = {};
+  for (const key of Object.keys(GUILD_SETTINGS)) {
+    config[key] = getGuildSetting(guildId, key);
+  }
+  return config;
+}
+
+// Validate and store a setting for a guild - throws ConfigValueError for invalid values
+function setGuildSetting(guild, key, value) {
+  const parsed = GUILD_SETTINGS[key].parse(value, guild);
+  guildConfig[guild.id] = { ...guildConfig[guild.id], [key]: parsed };
+  saveDataFile('guild-config.json', guildConfig);
+  return parsed;
+}
+
+// Helper function to go back to the global default for one setting, or all of them
+function resetGuildSetting(guildId, key = null) {
+  if (!guildConfig[guildId]) return;
+  
+  if (key) {
+    delete guildConfig[guildId][key];
+  }
+  if (!key || Object.keys(guildConfig[guildId]).length === 0) {
+    delete guildConfig[guildId];
+  }
+  saveDataFile('guild-config.json', guildConfig);
+}
+
+// Number of matches shown per page in the confirmation preview
+const PREVIEW_PAGE_SIZE = 10;
+
+// Helper function to get a key identifying the sender of a message (webhooks are grouped by name)
+function getSenderKey(message) {
+  if (message.webhookId) {
+    return 'wb_' + (message.author.username || 'Webhook');
+  }
+  return 'u_' + message.author.id;
+}
+
+// Helper function to format a sender key for embeds
+function formatSenderKey(key) {
+  return key.startsWith('wb_') ? `"${key.substring(3)}" (Webhook)` : `<@${key.substring(2)}>`;
+}
+
+// Helper function to shorten text to a maximum length
+function truncateText(text, maxLength) {
+  return text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+}
+
+// Helper function to get the text shown for a match: the field that matched, or the content for filter-only matches
+// Normalized matches also return the original text that matched, and the snippet starts shortly before it
+function getMatchSnippet(message, hits) {
+  const hit = hits && hits.length > 0 ? hits[0] : null;
+  const field = hit ? hit.field : 'filters';
+  let text = hit ? hit.text : (message.content || '[no text content]');
+  const matched = hit && hit.match ? hit.text.substring(hit.match.start, hit.match.end) : null;
+  if (matched && hit.match.start > 20) {
+    text = '…' + text.substring(hit.match.start - 20);
+  }
+  return { field, text: text.replace(/\s+/g, ' ').trim(), matched };
+}
+
+// Helper function to check whether a match was excluded in the preview: by message, by sender, or by duplicate group
+function isExcludedInPreview(message, preview) {
+  if (preview.excludedIds.has(message.id) || preview.excludedSenders.has(getSenderKey(message))) return true;
+  if (!preview.duplicates) return false;
+  
+  const groupIndex = preview.duplicates.groupOf.get(message.id);
+  if (preview.duplicates.excludedGroups.has(groupIndex)) return true;
+  return preview.duplicates.keepFirst && preview.duplicates.groups[groupIndex].messages[0].id === message.id;
+}
+
+// Helper function to get the messages still selected for deletion in a preview
+function getSelectedMessages(messages, preview) {
+  return messages.filter(msg => !isExcludedInPreview(msg, preview));
+}
+
+// Duplicate (flood) detection defaults
+const DEFAULT_DUPLICATE_MIN_COPIES = 3;
+const DEFAULT_DUPLICATE_MIN_LENGTH = 3; // Shorter texts like "ok" or "lol" repeat naturally
+const DUPLICATE_GROUPS_SHOWN = 10;
+
+// Helper function to get the key near-identical messages share: the normalized text (see normalizeText)
+// without mentions, emoji IDs, spaces and punctuation. Returns null for messages with too little text to compare
+function getDuplicateKey(message, minLength) {
+  const text = message.content ||
+    (message.embeds || []).map(embed => [embed.title, embed.description].filter(Boolean).join(' ')).join(' ');
+  const stripped = text.replace(/<@[!&]?\d+>|<#\d+>/g, '').replace(/<a?:(\w+):\d+>/g, '$1');
+  const key = normalizeText(stripped).text.replace(/[^\p{L}\p{N}]/gu, '');
+  return key.length >= minLength ? key : null;
+}
+
+// Group near-identical messages and score each group by its copies and how densely they were posted
+// Returns the groups with at least minCopies copies, best score first: { key, messages (oldest first), senders, spanMs, score }
+function findDuplicateGroups(messages, minCopies, minLength) {
+  const messagesByKey = new Map();
+  for (const msg of messages) {
+    const key = getDuplicateKey(msg, minLength);
+    if (!key) continue;
+    if (!messagesByKey.has(key)) messagesByKey.set(key, []);
+    messagesByKey.get(key).push(msg);
+  }
+  
+  const groups = [];
+  for (const [key, groupMessages] of messagesByKey) {
+    if (groupMessages.length < minCopies) continue;
+    
+    groupMessages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    const spanMs = groupMessages[groupMessages.length - 1].createdTimestamp - groupMessages[0].createdTimestamp;
+    // Copies per minute over the group's span, so a burst outranks the same text repeated over days
+    const perMinute = groupMessages.length / Math.max(1, spanMs / 60000);
+    groups.push({
+      key,
+      messages: groupMessages,
+      senders: Array.from(new Set(groupMessages.map(getSenderKey))),
+      spanMs,
+      score: groupMessages.length * perMinute
+    });
+  }
+  
+  return groups.sort((a, b) => b.score - a.score);
+}
+
+// Helper function to describe the top duplicate groups for the confirmation and reports
+function describeDuplicateGroups(groups) {
+  const copies = groups.reduce((total, group) => total + group.messages.length, 0);
+  const lines = groups.slice(0, DUPLICATE_GROUPS_SHOWN).map((group, index) => {
+    const senders = group.senders.slice(0, 3).map(formatSenderKey).join(', ') +
+      (group.senders.length > 3 ? ` and ${group.senders.length - 3} more` : '');
+    const span = group.spanMs < 60000 ? 'under a minute' : formatMaxAge(group.spanMs);
+    const snippet = escapeMarkdown(truncateText(getMatchSnippet(group.messages[0], null).text, 60));
+    return `${index + 1}. **${group.messages.length} copies** in ${span} from ${senders}: ${snippet}`;
+  });
+  if (groups.length > DUPLICATE_GROUPS_SHOWN) {
+    lines.push(`...and ${groups.length - DUPLICATE_GROUPS_SHOWN} more groups`);
+  }
+  
+  return `Duplicate groups (${groups.length} ${groups.length === 1 ? 'group' : 'groups'}, ${copies} copies):\n${lines.join('\n')}`;
+}
+
+// Build the embed listing one page of matches for review
+function buildPreviewPageEmbed(messages, matchedFields, preview) {
+  const pageCount = Math.ceil(messages.length / PREVIEW_PAGE_SIZE);
+  const start = preview.page * PREVIEW_PAGE_SIZE;
+  const pageMessages = messages.slice(start, start + PREVIEW_PAGE_SIZE);
+  
+  const lines = pageMessages.map((msg, index) => {
+    const snippet = getMatchSnippet(msg, matchedFields.get(msg.id));
+    const excluded = isExcludedInPreview(msg, preview);
+    const matchedText = snippet.matched ? ` (matched "${escapeMarkdown(truncateText(snippet.matched, 40))}")` : '';
+    const line = `${start + index + 1}. [${formatDate(msg.createdTimestamp)}](${getMessageLink(msg)}) ${formatSenderKey(getSenderKey(msg))} - ${snippet.field}: ${escapeMarkdown(truncateText(snippet.text, 80))}${matchedText}`;
+    return excluded ? `~~${line}~~ (excluded)` : line;
+  });
+  
+  return {
+    color: 0xFFD700,
+    title: `Matches ${start + 1}-${start + pageMessages.length} of ${messages.length} (page ${preview.page + 1}/${pageCount})`,
+    description: lines.join('\n')
+  };
+}
+
+// Build the review components: message and sender exclusion menus, paging and the Yes/No buttons
+function buildPreviewComponents(messages, matchedFields, senders, preview) {
+  const pageCount = Math.ceil(messages.length / PREVIEW_PAGE_SIZE);
+  const start = preview.page * PREVIEW_PAGE_SIZE;
+  const pageMessages = messages.slice(start, start + PREVIEW_PAGE_SIZE);
+  const rows = [];
+  
+  rows.push({
+    type: 1,
+    components: [{
+      type: 3, // STRING_SELECT
+      custom_id: 'preview_exclude_messages',
+      placeholder: 'Exclude messages on this page',
+      min_values: 0,
+      max_values: pageMessages.length,
+      options: pageMessages.map((msg, index) => ({
+        label: truncateText(`${start + index + 1}. ${msg.author.tag || msg.author.username}`, 100),
+        description: truncateText(getMatchSnippet(msg, matchedFields.get(msg.id)).text || ' ', 100),
+        value: msg.id,
+        default: preview.excludedIds.has(msg.id)
+      }))
+    }]
+  });
+  
+  // Only worth offering when there's more than one sender (menus can list at most 25)
+  if (senders.length > 1) {
+    const shownSenders = senders.slice(0, 25);
+    rows.push({
+      type: 1,
+      components: [{
+        type: 3,
+        custom_id: 'preview_exclude_senders',
+        placeholder: senders.length > 25 ? 'Exclude senders (top 25 by matches)' : 'Exclude senders',
+        min_values: 0,
+        max_values: shownSenders.length,
+        options: shownSenders.map(sender => ({
+          label: truncateText(sender.name, 100),
+          description: `${sender.count} ${sender.count === 1 ? 'match' : 'matches'}`,
+          value: sender.key,
+          default: preview.excludedSenders.has(sender.key)
+        }))
+      }]
+    });
+  }
+  
+  // Dupes mode: keep the first copy of each group, or whole groups (the menu lists the top 24)
+  if (preview.duplicates) {
+    const shownGroups = preview.duplicates.groups.slice(0, 24);
+    const options = [
+      { label: 'Keep the first copy of each group', value: 'keep_first', default: preview.duplicates.keepFirst },
+      ...shownGroups.map((group, index) => ({
+        label: truncateText(`Keep group ${index + 1} (${group.messages.length} copies)`, 100),
+        description: truncateText(getMatchSnippet(group.messages[0], null).text || ' ', 100),
+        value: `group:${index}`,
+        default: preview.duplicates.excludedGroups.has(index)
+      }))
+    ];
+    rows.push({
+      type: 1,
+      components: [{
+        type: 3,
+        custom_id: 'preview_duplicates',
+        placeholder: 'Delete every copy in every group',
+        min_values: 0,
+        max_values: options.length,
+        options
+      }]
+    });
+  }
+  
+  // What Yes does with the selection - server-wide searches can also act on the authors of the matches (raid cleanup)
+  rows.push({
+    type: 1,
+    components: [{
+      type: 3,
+      custom_id: 'preview_action',
+      placeholder: 'Delete the matches',
+      min_values: 0,
+      max_values: 1,
+      options: getActionChoices(preview.followUpOffered).map(action => ({
+        label: truncateText(describeActionChoice(action), 100),
+        value: action.value,
+        default: preview.action.value === action.value
+      }))
+    }]
+  });
+  
+  const buttons = [
+    {
+      type: 2,
+      style: 2, // SECONDARY (grey)
+      label: 'Prev',
+      custom_id: 'preview_prev',
+      disabled: preview.page === 0
+    },
+    {
+      type: 2,
+      style: 2,
+      label: 'Next',
+      custom_id: 'preview_next',
+      disabled: preview.page >= pageCount - 1
+    },
+    {
+      type: 2,
+      style: 3, // SUCCESS (green)
+      label: 'Yes',
+      custom_id: 'confirm_delete'
+    },
+    {
+      type: 2,
+      style: 1, // PRIMARY (blue)
+      label: 'No',
+      custom_id: 'cancel_delete'
+    }
+  ];
+  
+  // Above the confirm threshold a second member can approve instead of the confirmer typing the count
+  if (isOverConfirmThreshold(getSelectedMessages(messages, preview).length, preview)) {
+    buttons.push({
+      type: 2,
+      style: 2,
+      label: preview.approvedBy ? 'Approved' : 'Approve',
+      custom_id: 'preview_approve',
+      disabled: !!preview.approvedBy
+    });
+  }
+  
+  rows.push({ type: 1, components: buttons });
+  
+  return rows;
+}
+
+// Helper function to check whether confirming the selection needs the count typed in or a second member's approval
+// Only actions that remove the messages are held to the confirm threshold
+function isOverConfirmThreshold(count, preview) {
+  return preview.confirmThreshold !== null && OPERATION_ACTIONS[preview.action.type].removesMessages && count > preview.confirmThreshold;
+}
+
+// Ask for the number of messages in a modal before a deletion above the confirm threshold
+// Returns the modal submission if the count was typed correctly, or null if it wasn't or the modal was dismissed
+async function confirmTypedCount(interaction, operationId, count, timeoutSeconds) {
+  const customId = `confirm_count:${operationId}`;
+  await interaction.showModal({
+    custom_id: customId,
+    title: `Delete ${count} messages?`,
+    components: [{
+      type: 1,
+      components: [{
+        type: 4, // TEXT_INPUT
+        custom_id: 'count',
+        style: 1, // SHORT
+        label: `Type ${count} to confirm the deletion`,
+        placeholder: String(count),
+        max_length: 10,
+        required: true
+      }]
+    }]
+  });
+  
+  let submission;
+  try {
+    submission = await interaction.awaitModalSubmit({
+      filter: i => i.customId === customId && i.user.id === interaction.user.id,
+      time: timeoutSeconds * 1000
+    });
+  } catch (error) {
+    logger('info', `No count was typed for operation ${operationId}`);
+    return null;
+  }
+  
+  if (submission.fields.getTextInputValue('count').trim() !== String(count)) {
+    logger('info', `Wrong count typed by ${interaction.user.tag} for operation ${operationId}`);
+    await submission.reply({ content: `That's not ${count}, so nothing was deleted. Press Yes to try again.`, ephemeral: true });
+    return null;
+  }
+  return submission;
+}
+
+// Follow-up actions for the authors of the matches, offered in server-wide searches
+const FOLLOW_UP_TIMEOUT_MS = 60 * 60 * 1000;
+const FOLLOW_UP_ACTIONS = {
+  timeout: { label: 'Also time out the authors for 1 hour', done: 'Timed out', permission: PermissionFlagsBits.ModerateMembers, permissionName: 'Timeout Members' },
+  kick: { label: 'Also kick the authors', done: 'Kicked', permission: PermissionFlagsBits.KickMembers, permissionName: 'Kick Members' },
+  ban: { label: 'Also ban the authors', done: 'Banned', permission: PermissionFlagsBits.BanMembers, permissionName: 'Ban Members' }
+};
+
+// Helper function to list the users a follow-up action applies to - webhooks and the bot itself are left out
+function getFollowUpUserIds(messages) {
+  const userIds = new Set();
+  for (const msg of messages) {
+    if (!msg.webhookId && msg.author.id !== client.user.id) userIds.add(msg.author.id);
+  }
+  return Array.from(userIds);
+}
+
+// Time out, kick or ban one author of the matches - returns false if the user is skipped
+// Members who may use seekndelete and members the bot can't act on are skipped; members who left can only be banned
+async function applyMemberAction(guild, action, userId, reason, timeoutMs = FOLLOW_UP_TIMEOUT_MS) {
+  const member = guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
+  const canAct = member ?
+    !checkAccess(member, 'search').allowed && (action === 'ban' ? member.bannable : (action === 'kick' ? member.kickable : member.moderatable)) :
+    action === 'ban';
+  if (!canAct) return false;
+  
+  if (action === 'ban') {
+    await guild.members.ban(userId, { reason });
+  } else if (action === 'kick') {
+    await member.kick(reason);
+  } else {
+    await member.timeout(timeoutMs, reason);
+  }
+  return true;
+}
+
+// Time out, kick or ban the authors of the matches
+async function applyFollowUpAction(guild, operationId, action, userIds, confirmedBy) {
+  const reason = `seekndelete operation ${operationId}, confirmed by ${confirmedBy.tag}`;
+  const result = { done: 0, skipped: 0, failed: 0 };
+  
+  for (const userId of userIds) {
+    try {
+      if (await applyMemberAction(guild, action, userId, reason)) {
+        result.done++;
+      } else {
+        result.skipped++;
+      }
+    } catch (error) {
+      logger('error', `Failed to ${action} user ${userId} for operation ${operationId}`, error);
+      result.failed++;
+    }
+  }
+  
+  return result;
+}
+
+// Run the follow-up action of a confirmed deletion and report it to the channel and the mod log
+async function runFollowUpAction(channel, operationId, action, userIds, confirmedBy) {
+  logger('info', `Applying follow-up action "${action}" to ${userIds.length} users for operation ${operationId}`);
+  const result = await applyFollowUpAction(channel.guild, operationId, action, userIds, confirmedBy);
+  const lines = [
+    `${FOLLOW_UP_ACTIONS[action].done} ${result.done} of ${userIds.length} authors of the matches`,
+    `Skipped: ${result.skipped} (staff, left the server or out of the bot's reach)`,
+    `Failed: ${result.failed}`,
+    `Confirmed by <@${confirmedBy.id}> (${confirmedBy.tag})`
+  ];
+  logger('info', `Follow-up action "${action}" for operation ${operationId} finished`, result);
+  
+  await postModLog(channel.guild, operationId, 'followUp', lines);
+  try {
+    await channel.send({
+      embeds: [{
+        color: 0xFF0000,
+        title: 'Follow-up Action',
+        description: lines.join('\n'),
+        footer: { text: `Operation ID: ${operationId}` }
+      }],
+      allowedMentions: { parse: [] }
+    });
+  } catch (error) {
+    logger('error', 'Failed to send follow-up summary', error);
+  }
+}
+
+// Actions a confirmed operation can take on the selected matches, chosen in the confirmation - delete is the default
+// Quarantine reposts the matches in the quarantine channel through a webhook before deleting them;
+// timeout and flag leave the messages alone. Only the removing actions need the confirm threshold step.
+// Restore is started by the restore command and reposts archived messages where they were
+const OPERATION_ACTIONS = {
+  delete: { title: 'Deletion', phase: 'deleting', done: 'Deleted', removesMessages: true, question: 'delete' },
+  quarantine: { title: 'Quarantine', phase: 'quarantining', done: 'Reposted', removesMessages: true, question: 'quarantine them' },
+  timeout: { title: 'Timeout', phase: 'timing out', done: 'Timed out', removesMessages: false, question: 'time out their authors', permission: PermissionFlagsBits.ModerateMembers, permissionName: 'Timeout Members' },
+  flag: { title: 'Flagging', phase: 'flagging', done: 'Flagged', removesMessages: false, question: 'flag them' },
+  restore: { title: 'Restore', phase: 'restoring', done: 'Restored', removesMessages: false, question: 'restore them' }
+};
+const TIMEOUT_ACTION_DURATIONS = ['10m', '1h', '1d', '7d']; // Discord allows timeouts of up to 28 days
+const FLAG_STYLES = { reaction: 'with a \u{1F6A9} reaction', thread: 'with a review thread on each' };
+const FLAG_REACTION = '\u{1F6A9}';
+const QUARANTINE_WEBHOOK_NAME = 'seekndelete quarantine';
+const RESTORE_WEBHOOK_NAME = 'seekndelete restore';
+
+// Helper function to list the choices of the action menu - follow-ups for the authors are only offered for server-wide searches
+function getActionChoices(followUpOffered) {
+  const choices = ['delete', 'quarantine'];
+  if (followUpOffered) {
+    for (const base of ['delete', 'quarantine']) {
+      choices.push(...Object.keys(FOLLOW_UP_ACTIONS).map(followUp => `${base}+${followUp}`));
+    }
+  }
+  choices.push(...TIMEOUT_ACTION_DURATIONS.map(duration => `timeout:${duration}`));
+  choices.push(...Object.keys(FLAG_STYLES).map(style => `flag:${style}`));
+  return choices.map(parseActionChoice);
+}
+
+// Helper function to turn a menu value like delete, delete+ban, timeout:1h or flag:thread into an action
+function parseActionChoice(value) {
+  const [base, followUp = null] = value.split('+');
+  const [type, option = null] = base.split(':');
+  return {
+    value,
+    type,
+    followUp,
+    timeoutMs: type === 'timeout' ? parseDuration(option) : null,
+    flag: type === 'flag' ? option : null
+  };
+}
+
+// Helper function to describe an action for the menu, the confirmation and the mod log
+function describeActionChoice(action) {
+  const followUpText = action.followUp ? ` and ${FOLLOW_UP_ACTIONS[action.followUp].label.replace(/^Also /, '')}` : '';
+  if (action.type === 'quarantine') {
+    return followUpText ? `Quarantine the matches${followUpText}` : 'Quarantine the matches: repost them in the quarantine channel, then delete them';
+  } else if (action.type === 'timeout') {
+    return `Only time out the authors for ${formatMaxAge(action.timeoutMs)}`;
+  } else if (action.type === 'flag') {
+    return `Only flag the matches ${FLAG_STYLES[action.flag]}`;
+  }
+  return `Delete the matches${followUpText}`;
+}
+
+// Helper function to find the bot's webhook with this name in a channel, creating it the first time
+async function getBotWebhook(channel, name) {
+  const webhooks = await channel.fetchWebhooks();
+  const existing = webhooks.find(webhook => webhook.owner && webhook.owner.id === client.user.id && webhook.name === name);
+  return existing || channel.createWebhook({ name, reason: name });
+}
+
+// Helper function to build the repost of a quarantined message, under the original author's name and avatar
+// Attachments are linked rather than uploaded again, and a last line says where the message came from
+function buildQuarantinePost(message) {
+  const name = (message.member && message.member.displayName) || message.author.globalName || message.author.username;
+  const origin = `-# ${message.author.tag || message.author.username} (${message.author.id}) in <#${message.channel.id}> at <t:${Math.floor(message.createdTimestamp / 1000)}:f>`;
+  const body = [message.content, ...Array.from(message.attachments.values()).map(attachment => attachment.url)].filter(Boolean).join('\n');
+  
+  return {
+    username: truncateText(name, 80),
+    avatarURL: message.author.displayAvatarURL(),
+    content: `${body ? `${truncateText(body, 1990 - origin.length)}\n` : ''}${origin}`,
+    embeds: message.embeds.slice(0, 10).map(embed => embed.toJSON ? embed.toJSON() : embed),
+    allowedMentions: { parse: [] }
+  };
+}
+
+// Helper function to determine message source type for logging
+function getMessageSourceType(message) {
+  if (message.webhookId) {
+    return 'webhook';
+  } else if (message.author.bot) {
+    return 'bot';
+  } else if (message.embeds && message.embeds.length > 0) {
+    return 'embed';
+  } else {
+    return 'user';
+  }
+}
+
+// Helper function to sleep for a given amount of time
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper function to format date in a readable format
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return date.toISOString().replace('T', ' ').split('.')[0]; // YYYY-MM-DD HH:MM:SS
+}
+
+// Helper function to create a message link
+function getMessageLink(message) {
+  return `https://discord.com/channels/${message.guild.id}/${message.channel.id}/${message.id}`;
+}
+
+// Longest max age given as a bare number of days - anything bigger is more likely a pasted ID
+const MAX_AGE_DAYS = 3650;
+
+// Helper function to parse the max age parameter
+function parseMaxAge(maxAgeStr) {
+  if (!maxAgeStr) return null;
+  
+  // Try to parse as a simple number (days)
+  if (/^\d+$/.test(maxAgeStr)) {
+    const days = parseInt(maxAgeStr, 10);
+    if (days > MAX_AGE_DAYS) return null;
+    return days * 24 * 60 * 60 * 1000; // Convert days to milliseconds
+  }
+  
+  // Parse more complex format: 1d2h3m (1 day, 2 hours, 3 minutes)
+  const dayMatch = maxAgeStr.match(/(\d+)d/);
+  const hourMatch = maxAgeStr.match(/(\d+)h/);
+  const minMatch = maxAgeStr.match(/(\d+)m/);
+  
+  let totalMs = 0;
+  
+  if (dayMatch) totalMs += parseInt(dayMatch[1], 10) * 24 * 60 * 60 * 1000;
+  if (hourMatch) totalMs += parseInt(hourMatch[1], 10) * 60 * 60 * 1000;
+  if (minMatch) totalMs += parseInt(minMatch[1], 10) * 60 * 1000;
+  
+  return totalMs > 0 ? totalMs : null;
+}
+
+// Helper function to parse a strict duration like 30m, 12h, 2d6h or 7 (days) - returns null if it isn't one
+function parseDuration(value) {
+  return /^\d+$|^(?=\d)(\d+d)?(\d+h)?(\d+m)?$/.test(value) ? parseMaxAge(value) : null;
+}
+
+// Helper function to get a human-readable representation of max age
+function formatMaxAge(maxAgeMs) {
+  if (!maxAgeMs) return "No limit";
+  
+  const days = Math.floor(maxAgeMs / (24 * 60 * 60 * 1000));
+  const hours = Math.floor((maxAgeMs % (24 * 60 * 60 * 1000)) / (60 * 60 * 1000));
+  const minutes = Math.floor((maxAgeMs % (60 * 60 * 1000)) / (60 * 1000));
+  
+  let result = [];
+  if (days > 0) result.push(`${days} day${days !== 1 ? 's' : ''}`);
+  if (hours > 0) result.push(`${hours} hour${hours !== 1 ? 's' : ''}`);
+  if (minutes > 0) result.push(`${minutes} minute${minutes !== 1 ? 's' : ''}`);
+  
+  return result.join(', ');
+}
+
+// Deletion scheduler settings - concurrency adapts between the bounds, starting at the old fixed value
+const SCHEDULER_MIN_CONCURRENCY = 1;
+const SCHEDULER_MAX_CONCURRENCY = 10;
+const SCHEDULER_INITIAL_CONCURRENCY = 5;
+const SCHEDULER_SUCCESSES_PER_STEP = 20; // Successful requests before concurrency goes up by one
+const SCHEDULER_MAX_RETRIES = 5;
+const SCHEDULER_THROUGHPUT_WINDOW_MS = 60000;
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+// Helper function to get the scheduler bucket of a deletion request - one per route and channel, like Discord's own buckets
+function getDeletionBucket(method, requestPath) {
+  const match = requestPath.match(/\/channels\/(\d+)\/messages\/(bulk-delete|\d+)$/);
+  if (!match) return null;
+  
+  if (match[2] === 'bulk-delete') {
+    return method.toUpperCase() === 'POST' ? `bulk:${match[1]}` : null;
+  }
+  return method.toUpperCase() === 'DELETE' ? `delete:${match[1]}` : null;
+}
+
+// Helper function to get how long to wait before retrying a failed request, or null if retrying won't help
+// 429s, 5xx errors and dropped connections are transient, anything else (unknown message, missing access...) is not
+function getRetryDelay(error, attempt) {
+  const status = error.status;
+  const transient = status === 429 || (status >= 500 && status < 600) ||
+    RETRYABLE_NETWORK_ERRORS.includes(error.code) || error.name === 'AbortError';
+  if (!transient) return null;
+  
+  // Rate limit errors say how long to wait, otherwise back off exponentially with some jitter
+  if (error.retryAfter) return error.retryAfter;
+  return Math.min(30000, 1000 * 2 ** attempt) + Math.floor(Math.random() * 250);
+}
+
+// Create the deletion scheduler - every delete request of every operation goes through it
+// Requests are spread fairly over guilds and then operations, buckets that hit their rate limit stay idle until they reset,
+// concurrency backs off on rate limits and grows again while requests succeed, and transient failures are retried
+function createDeletionScheduler() {
+  const queues = new Map(); // operationId -> { guildId, jobs, running, lastServed }
+  const blockedBuckets = new Map(); // bucket -> time it resets
+  // discord.js sends the requests of a bucket one at a time anyway, so more than one in flight would only
+  // queue them inside discord.js, out of reach of aborts, pauses and fairness
+  const busyBuckets = new Set();
+  const throughput = new Map(); // operationId -> { since, samples: [{ time, count }] } processed messages in the window
+  let concurrency = SCHEDULER_INITIAL_CONCURRENCY;
+  let running = 0;
+  let successStreak = 0;
+  let globalBlockedUntil = 0;
+  let wakeTimer = null;
+  
+  const backOff = reason => {
+    const reduced = Math.max(SCHEDULER_MIN_CONCURRENCY, Math.floor(concurrency / 2));
+    if (reduced !== concurrency) {
+      logger('info', `Deletion concurrency lowered from ${concurrency} to ${reduced} (${reason})`);
+    }
+    concurrency = reduced;
+    successStreak = 0;
+  };
+  
+  const blockBucket = (bucket, resetAfterMs) => {
+    blockedBuckets.set(bucket, Math.max(blockedBuckets.get(bucket) || 0, Date.now() + resetAfterMs));
+  };
+  
+  // Compare two [guild running, operation running, last served] ranks, lowest first
+  const compareRanks = (a, b) => {
+    const i = a.findIndex((value, index) => value !== b[index]);
+    return i === -1 ? 0 : a[i] - b[i];
+  };
+  
+  const isRunnable = (job, now) => job.notBefore <= now && !busyBuckets.has(job.bucket) && (blockedBuckets.get(job.bucket) || 0) <= now;
+  
+  // Pick the next job: the guild with the fewest running requests first, then its least busy operation,
+  // then whichever was served longest ago
+  const pickNext = now => {
+    const guildRunning = new Map();
+    for (const queue of queues.values()) {
+      guildRunning.set(queue.guildId, (guildRunning.get(queue.guildId) || 0) + queue.running);
+    }
+    
+    let best = null;
+    for (const [operationId, queue] of queues.entries()) {
+      const operation = activeOperations.get(operationId);
+      if (operation && operation.hold) continue;
+      
+      const index = queue.jobs.findIndex(job => isRunnable(job, now));
+      if (index === -1) continue;
+      
+      const rank = [guildRunning.get(queue.guildId), queue.running, queue.lastServed];
+      if (!best || compareRanks(rank, best.rank) < 0) best = { queue, index, rank };
+    }
+    
+    if (!best) return null;
+    return { queue: best.queue, job: best.queue.jobs.splice(best.index, 1)[0] };
+  };
+  
+  // Sleep until the earliest blocked job could run - held operations are checked again every second
+  const scheduleWake = now => {
+    if (wakeTimer) return;
+    
+    let wakeAt = Infinity;
+    for (const [operationId, queue] of queues.entries()) {
+      const operation = activeOperations.get(operationId);
+      for (const job of queue.jobs) {
+        const readyAt = operation && operation.hold ? now + 1000 :
+          Math.max(job.notBefore, blockedBuckets.get(job.bucket) || 0, globalBlockedUntil);
+        wakeAt = Math.min(wakeAt, readyAt);
+      }
+    }
+    
+    if (wakeAt === Infinity) return;
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      pump();
+    }, Math.max(50, wakeAt - now));
+  };
+  
+  const recordProcessed = (operationId, count) => {
+    if (throughput.has(operationId)) throughput.get(operationId).samples.push({ time: Date.now(), count });
+  };
+  
+  const runJob = async (queue, job) => {
+    running++;
+    queue.running++;
+    queue.lastServed = Date.now();
+    busyBuckets.add(job.bucket);
+    
+    try {
+      const result = await job.task();
+      recordProcessed(job.operationId, job.count);
+      if (++successStreak >= SCHEDULER_SUCCESSES_PER_STEP && concurrency < SCHEDULER_MAX_CONCURRENCY) {
+        concurrency++;
+        successStreak = 0;
+        logger('debug', `Deletion concurrency raised to ${concurrency}`);
+      }
+      job.resolve({ success: true, result });
+    } catch (error) {
+      const delay = job.attempts < SCHEDULER_MAX_RETRIES ? getRetryDelay(error, job.attempts) : null;
+      if (delay !== null) {
+        job.attempts++;
+        job.notBefore = Date.now() + delay;
+        if (error.status === 429) {
+          backOff('rate limited');
+          blockBucket(job.bucket, delay);
+        } else if (job.bucket.startsWith('webhook:')) {
+          // Reposts through a webhook must come out in order, so the rest of the bucket waits for the retry
+          blockBucket(job.bucket, delay);
+        }
+        logger('warn', `Deletion request failed with ${error.status || error.code || error.name}, retrying in ${delay}ms (attempt ${job.attempts}/${SCHEDULER_MAX_RETRIES})`);
+        // Back to the front, so retries keep their place
+        queue.jobs.unshift(job);
+      } else {
+        recordProcessed(job.operationId, job.count);
+        job.resolve({ success: false, error });
+      }
+    } finally {
+      running--;
+      queue.running--;
+      busyBuckets.delete(job.bucket);
+      pump();
+    }
+  };
+  
+  const pump = () => {
+    const now = Date.now();
+    
+    // Aborted (or paused for a restart) operations don't get any more requests
+    for (const [operationId, queue] of queues.entries()) {
+      if (activeOperations.has(operationId)) continue;
+      queue.jobs.splice(0).forEach(job => job.resolve({ success: false, aborted: true }));
+      if (queue.running === 0) queues.delete(operationId);
+    }
+    
+    if (globalBlockedUntil <= now) {
+      while (running < concurrency) {
+        const next = pickNext(now);
+        if (!next) break;
+        runJob(next.queue, next.job);
+      }
+    }
+    
+    for (const [operationId, queue] of queues.entries()) {
+      if (queue.jobs.length === 0 && queue.running === 0) queues.delete(operationId);
+    }
+    scheduleWake(now);
+  };
+  
+  return {
+    // Queue a request that deletes `count` messages; resolves with { success, result, error, aborted } and never rejects
+    schedule(operationId, guildId, bucket, count, task) {
+      return new Promise(resolve => {
+        if (!queues.has(operationId)) {
+          queues.set(operationId, { guildId, jobs: [], running: 0, lastServed: 0 });
+        }
+        if (!throughput.has(operationId)) {
+          throughput.set(operationId, { since: Date.now(), samples: [] });
+        }
+        queues.get(operationId).jobs.push({ operationId, bucket, count, task, resolve, attempts: 0, notBefore: 0 });
+        pump();
+      });
+    },
+    
+    // Messages per second processed for an operation over the last minute, or null before anything finished
+    getThroughput(operationId) {
+      const stats = throughput.get(operationId);
+      if (!stats || stats.samples.length === 0) return null;
+      
+      const now = Date.now();
+      const windowStart = Math.max(stats.since, now - SCHEDULER_THROUGHPUT_WINDOW_MS);
+      stats.samples = stats.samples.filter(sample => sample.time >= windowStart);
+      
+      const count = stats.samples.reduce((total, sample) => total + sample.count, 0);
+      return count / (Math.max(1000, now - windowStart) / 1000);
+    },
+    
+    // Drop the throughput figures of a finished operation
+    forget(operationId) {
+      throughput.delete(operationId);
+    },
+    
+    // discord.js hit a rate limit - keep the bucket idle until it resets and lower the concurrency
+    handleRateLimit(info) {
+      if (info.global) {
+        globalBlockedUntil = Math.max(globalBlockedUntil, Date.now() + info.timeToReset);
+        backOff('global rate limit');
+        return;
+      }
+      
+      const bucket = getDeletionBucket(info.method, info.url);
+      if (!bucket) return;
+      blockBucket(bucket, info.timeToReset);
+      backOff(`rate limited on ${bucket}`);
+    },
+    
+    // Follow the rate limit headers, so an exhausted bucket isn't sent requests discord.js would only queue
+    handleResponse(request, response) {
+      const bucket = getDeletionBucket(request.method, request.path);
+      if (!bucket || response.headers.get('x-ratelimit-remaining') !== '0') return;
+      
+      const resetAfter = parseFloat(response.headers.get('x-ratelimit-reset-after'));
+      if (resetAfter > 0) blockBucket(bucket, resetAfter * 1000);
+    },
+    
+    getStats() {
+      return { concurrency, running, queued: Array.from(queues.values()).reduce((total, queue) => total + queue.jobs.length, 0) };
+    }
+  };
+}
+
+const deletionScheduler = createDeletionScheduler();
+
+// Delete messages in one channel through the deletion scheduler
+// Recent messages go in bulk requests of up to 100, older ones can't be bulk deleted and are deleted one by one
+async function bulkDeleteMessages(channel, messages, progressCallback, operationId) {
+  // Group messages by age for optimal deletion
+  const twoWeeksAgo = Date.now() - 14 * 24 * 60 * 60 * 1000;
+  const recentMessages = [];
+  const olderMessages = [];
+  
+  messages.forEach(msg => {
+    if (msg.createdTimestamp > twoWeeksAgo) {
+      recentMessages.push(msg);
+    } else {
+      olderMessages.push(msg);
+    }
+  });
+  
+  logger('info', `Deletion strategy: ${recentMessages.length} recent messages for bulk deletion, ${olderMessages.length} older messages for individual deletion`);
+  
+  let deletedCount = 0;
+  let skippedCount = 0;
+  let aborted = false;
+  let lastProgressReport = 0;
+  let lastProgressTime = Date.now();
+  const progressInterval = Math.max(10, Math.floor(messages.length / 10)); // Report progress 10 times
+  
+  // Processed messages are checkpointed in batches, so a restart doesn't start over
+  let unsaved = { ids: [], deleted: 0, skipped: 0 };
+  const saveCheckpoint = () => {
+    if (unsaved.ids.length === 0) return;
+    checkpointOperation(operationId, channel.id, unsaved.ids, unsaved.deleted, unsaved.skipped);
+    unsaved = { ids: [], deleted: 0, skipped: 0 };
+  };
+  
+  const recordResult = (ids, deleted, skipped) => {
+    deletedCount += deleted;
+    skippedCount += skipped;
+    unsaved.ids.push(...ids);
+    unsaved.deleted += deleted;
+    unsaved.skipped += skipped;
+    if (unsaved.ids.length >= 25) saveCheckpoint();
+    
+    // Report every tenth of the way, or every few seconds when it's slow
+    if (deletedCount + skippedCount - lastProgressReport >= progressInterval || Date.now() - lastProgressTime >= 5000) {
+      lastProgressReport = deletedCount + skippedCount;
+      lastProgressTime = Date.now();
+      progressCallback(deletedCount, skippedCount, messages.length, deletionScheduler.getThroughput(operationId));
+    }
+  };
+  
+  const deleteIndividually = async msg => {
+    const outcome = await deletionScheduler.schedule(operationId, channel.guild.id, `delete:${channel.id}`, 1, () => msg.delete());
+    if (outcome.aborted) {
+      aborted = true;
+      return;
+    }
+    
+    if (!outcome.success) {
+      logger('error', `Failed to delete message with ID ${msg.id}`, outcome.error);
+    }
+    recordResult([msg.id], outcome.success ? 1 : 0, outcome.success ? 0 : 1);
+  };
+  
+  const work = [];
+  
+  // Split recent messages into bulk deletions of max 100
+  for (let i = 0; i < recentMessages.length; i += 100) {
+    const chunk = recentMessages.slice(i, i + 100);
+    const messageIds = chunk.map(msg => msg.id);
+    
+    work.push(deletionScheduler.schedule(operationId, channel.guild.id, `bulk:${channel.id}`, chunk.length, () => channel.bulkDelete(messageIds))
+      .then(async outcome => {
+        if (outcome.aborted) {
+          aborted = true;
+        } else if (outcome.success) {
+          recordResult(messageIds, messageIds.length, 0);
+        } else {
+          // If bulk delete fails, try individually
+          logger('error', `Bulk deletion failed, falling back to individual deletion for this batch`, outcome.error);
+          await Promise.all(chunk.map(deleteIndividually));
+        }
+      }));
+  }
+  
+  // Older messages can't be bulk deleted
+  work.push(...olderMessages.map(deleteIndividually));
+  
+  logger('info', `Scheduled ${work.length} deletion requests in #${channel.name}`, deletionScheduler.getStats());
+  await Promise.all(work);
+  saveCheckpoint();
+  
+  if (aborted) {
+    logger('info', `Operation ${operationId} was aborted during deletion in #${channel.name}`);
+  }
+  
+  return { deletedCount, skippedCount, aborted };
+}
+
+// Archive settings - every matched message is saved before it is deleted
+const archiveDir = path.join(__dirname, 'archives');
+const archiveBeforeDelete = process.env.ARCHIVE_BEFORE_DELETE !== 'false'; // Default is true
+const MAX_ARCHIVE_UPLOAD_BYTES = 8 * 1024 * 1024; // Discord's default upload limit
+
+// Helper function to turn a message into a plain archive record
+function serializeMessageForArchive(message) {
+  return {
+    id: message.id,
+    guildId: message.guild ? message.guild.id : null,
+    channelId: message.channel.id,
+    channelName: message.channel.name,
+    link: getMessageLink(message),
+    type: message.type,
+    author: {
+      id: message.author.id,
+      username: message.author.username,
+      tag: message.author.tag,
+      displayName: message.member ? message.member.displayName : (message.author.globalName || message.author.username),
+      avatarURL: message.author.displayAvatarURL(),
+      bot: message.author.bot,
+      webhookId: message.webhookId || null
+    },
+    createdAt: new Date(message.createdTimestamp).toISOString(),
+    editedAt: message.editedTimestamp ? new Date(message.editedTimestamp).toISOString() : null,
+    pinned: message.pinned,
+    content: message.content,
+    embeds: message.embeds.map(embed => (embed.toJSON ? embed.toJSON() : embed)),
+    attachments: Array.from(message.attachments.values()).map(attachment => ({
+      id: attachment.id,
+      name: attachment.name,
+      url: attachment.url,
+      size: attachment.size,
+      contentType: attachment.contentType || null
+    })),
+    reference: message.reference && message.reference.messageId ? {
+      messageId: message.reference.messageId,
+      channelId: message.reference.channelId,
+      guildId: message.reference.guildId || null
+    } : null
+  };
+}
+
+// Helper function to escape text for the HTML transcript
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Render archive records as a self-contained HTML transcript (inline styles, no scripts)
+function renderArchiveHtml(operationId, records, meta) {
+  const channels = new Map();
+  for (const record of records) {
+    if (!channels.has(record.channelId)) channels.set(record.channelId, { name: record.channelName, records: [] });
+    channels.get(record.channelId).records.push(record);
+  }
+  
+  const renderRecord = record => {
+    const parts = [];
+    if (record.reference) {
+      parts.push(`<div class="reply">Reply to message ${escapeHtml(record.reference.messageId)}</div>`);
+    }
+    if (record.content) {
+      parts.push(`<div class="content">${escapeHtml(record.content).replace(/\n/g, '<br>')}</div>`);
+    }
+    for (const embed of record.embeds) {
+      const embedParts = [];
+      if (embed.author && embed.author.name) embedParts.push(`<div class="embed-author">${escapeHtml(embed.author.name)}</div>`);
+      if (embed.title) embedParts.push(`<div class="embed-title">${escapeHtml(embed.title)}</div>`);
+      if (embed.description) embedParts.push(`<div>${escapeHtml(embed.description).replace(/\n/g, '<br>')}</div>`);
+      for (const field of embed.fields || []) {
+        embedParts.push(`<div class="embed-field"><b>${escapeHtml(field.name)}</b><br>${escapeHtml(field.value).replace(/\n/g, '<br>')}</div>`);
+      }
+      if (embed.footer && embed.footer.text) embedParts.push(`<div class="embed-footer">${escapeHtml(embed.footer.text)}</div>`);
+      if (embed.url) embedParts.push(`<div><a href="${escapeHtml(embed.url)}">${escapeHtml(embed.url)}</a></div>`);
+      parts.push(`<div class="embed">${embedParts.join('')}</div>`);
+    }
+    for (const attachment of record.attachments) {
+      parts.push(`<div class="attachment">Attachment: <a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.name)}</a> (${attachment.size} bytes)</div>`);
+    }
+    
+    const badge = record.author.webhookId ? ' <span class="badge">WEBHOOK</span>' : (record.author.bot ? ' <span class="badge">BOT</span>' : '');
+    return `<div class="message" id="m${escapeHtml(record.id)}">
+<img class="avatar" src="${escapeHtml(record.author.avatarURL)}" alt="">
+<div class="body"><div class="header"><span class="author">${escapeHtml(record.author.displayName)}</span>${badge}
+<span class="meta">${escapeHtml(record.author.tag)} - ${escapeHtml(record.createdAt)}${record.editedAt ? ' (edited)' : ''} - <a href="${escapeHtml(record.link)}">${escapeHtml(record.id)}</a></span></div>
+${parts.join('\n')}</div></div>`;
+  };
+  
+  const sections = Array.from(channels.values()).map(channel =>
+    `<h2>#${escapeHtml(channel.name)} (${channel.records.length})</h2>\n${channel.records.map(renderRecord).join('\n')}`
+  );
+  
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>seekndelete archive ${escapeHtml(operationId)}</title>
+<style>
+body { font-family: sans-serif; background: #313338; color: #dbdee1; margin: 2em; }
+a { color: #00a8fc; }
+.message { display: flex; margin: 0.8em 0; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; margin-right: 0.8em; }
+.author { font-weight: bold; color: #f2f3f5; }
+.meta, .reply, .embed-footer { color: #949ba4; font-size: 0.8em; }
+.badge { background: #5865f2; color: #fff; font-size: 0.7em; padding: 0 0.3em; border-radius: 3px; }
+.content { white-space: normal; word-wrap: break-word; }
+.embed { border-left: 4px solid #1e1f22; background: #2b2d31; padding: 0.5em; margin-top: 0.3em; max-width: 520px; }
+.embed-title { font-weight: bold; }
+.embed-field { margin-top: 0.3em; }
+.attachment { margin-top: 0.3em; }
+</style></head>
+<body>
+<h1>seekndelete archive</h1>
+<p>Operation ${escapeHtml(operationId)} - ${records.length} messages - query: ${escapeHtml(meta.query)} - requested by ${escapeHtml(meta.requestedBy)} - archived ${escapeHtml(new Date().toISOString())}</p>
+${sections.join('\n')}
+</body></html>
+`;
+}
+
+// Archive matched messages before deleting them
+// Writes <operationId>.jsonl (one record per message, oldest first) and a matching .html transcript.
+// Throws if anything can't be written - the caller must not delete in that case.
+function writeOperationArchive(operationId, messages, meta) {
+  if (!fs.existsSync(archiveDir)) {
+    fs.mkdirSync(archiveDir);
+  }
+  
+  const records = messages
+    .slice()
+    .sort((a, b) => a.createdTimestamp - b.createdTimestamp)
+    .map(serializeMessageForArchive);
+  
+  const jsonlPath = path.join(archiveDir, `${operationId}.jsonl`);
+  const htmlPath = path.join(archiveDir, `${operationId}.html`);
+  
+  fs.writeFileSync(jsonlPath, records.map(record => JSON.stringify(record)).join('\n') + '\n', { encoding: 'utf8' });
+  fs.writeFileSync(htmlPath, renderArchiveHtml(operationId, records, meta), { encoding: 'utf8' });
+  
+  logger('info', `Archived ${records.length} messages for operation ${operationId}`, { jsonlPath, htmlPath });
+  return { jsonlPath, htmlPath, count: records.length };
+}
+
+// Helper function to build the file attachments for an archive, if they fit in one upload
+function getArchiveFiles(archive) {
+  if (!archive) return [];
+  
+  const files = [archive.htmlPath, archive.jsonlPath];
+  const totalSize = files.reduce((total, file) => total + fs.statSync(file).size, 0);
+  if (totalSize > MAX_ARCHIVE_UPLOAD_BYTES) return [];
+  
+  return files.map(file => ({ attachment: file, name: path.basename(file) }));
+}
+
+// Helper function to describe where an archive can be found
+function describeArchive(archive) {
+  if (!archive) return '';
+  return `\n\nArchive of ${archive.count} messages: \`${path.relative(__dirname, archive.htmlPath)}\``;
+}
+
+// Helper function to escape a value for a CSV cell
+function escapeCsv(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Build the CSV/JSON export of a search report
+// Returns the files to attach, or saves the export next to the archives when it's too large to upload
+function buildSearchReport(operationId, messages, matchedFields, format) {
+  const rows = messages.map(msg => {
+    const hits = matchedFields.get(msg.id) || [];
+    return {
+      messageId: msg.id,
+      link: getMessageLink(msg),
+      channel: msg.channel.name,
+      authorId: msg.author.id,
+      author: msg.author.tag,
+      sourceType: getMessageSourceType(msg),
+      timestamp: new Date(msg.createdTimestamp).toISOString(),
+      // Filter-only matches have no text hit
+      matchedField: hits.length > 0 ? Array.from(new Set(hits.map(hit => hit.field))).join('; ') : 'filters'
+    };
+  });
+  
+  let content;
+  if (format === 'json') {
+    content = JSON.stringify(rows, null, 2);
+  } else {
+    const columns = ['messageId', 'link', 'channel', 'authorId', 'author', 'sourceType', 'timestamp', 'matchedField'];
+    content = [columns.join(',')]
+      .concat(rows.map(row => columns.map(column => escapeCsv(row[column])).join(',')))
+      .join('\n') + '\n';
+  }
+  
+  const fileName = `seekndelete-report-${operationId}.${format}`;
+  const buffer = Buffer.from(content, 'utf8');
+  
+  if (buffer.length > MAX_ARCHIVE_UPLOAD_BYTES) {
+    if (!fs.existsSync(archiveDir)) {
+      fs.mkdirSync(archiveDir);
+    }
+    const savedPath = path.join(archiveDir, fileName);
+    fs.writeFileSync(savedPath, buffer);
+    return { files: [], savedPath };
+  }
+  
+  return { files: [{ attachment: buffer, name: fileName }], savedPath: null };
+}
+
+// How each operation lifecycle event looks in the mod log
+const MOD_LOG_EVENTS = {
+  started: { color: 0x3498DB, title: 'Operation started' },
+  aborted: { color: 0xFF0000, title: 'Operation aborted' },
+  completed: { color: 0x00ff00, title: 'Operation completed' },
+  paused: { color: 0x95A5A6, title: 'Operation paused' },
+  resumed: { color: 0xFFD700, title: 'Operation resumed' },
+  failed: { color: 0xFF0000, title: 'Operation failed' },
+  watchStarted: { color: 0x3498DB, title: 'Watch rule started' },
+  watchEnded: { color: 0x00ff00, title: 'Watch rule ended' },
+  scheduledRun: { color: 0x00ff00, title: 'Scheduled purge completed' },
+  scheduleChanged: { color: 0x3498DB, title: 'Retention schedule changed' },
+  followUp: { color: 0xFF0000, title: 'Follow-up action' },
+  quarantined: { color: 0xFFD700, title: 'Matches quarantined' }
+};
+
+// Confirmations and cancellations are titled after the chosen action, e.g. deleteConfirmed is "Deletion confirmed"
+for (const [type, action] of Object.entries(OPERATION_ACTIONS)) {
+  MOD_LOG_EVENTS[`${type}Confirmed`] = { color: 0xFFD700, title: `${action.title} confirmed` };
+  MOD_LOG_EVENTS[`${type}Cancelled`] = { color: 0x95A5A6, title: `${action.title} cancelled` };
+}
+
+// Helper function to describe how far an operation got, for abort entries
+function describeOperationProgress(operation) {
+  if (operation.watch) {
+    const { deleted, skipped, expiresAt } = operation.watch.record;
+    return `${deleted} deleted, ${skipped} skipped, ends ${formatDate(expiresAt)}`;
+  }
+  if (operation.type !== 'deleting' && operation.actionProgress) {
+    const { action, unit, done, skipped, total } = operation.actionProgress;
+    return `${done + skipped}/${total} ${unit} processed (${OPERATION_ACTIONS[action].done.toLowerCase()}: ${done}, skipped: ${skipped})`;
+  }
+  if (operation.progress) {
+    const { deleted, skipped, total } = operation.progress;
+    return `${deleted + skipped}/${total} messages processed (deleted: ${deleted}, skipped: ${skipped})`;
+  }
+  return operation.messages ? `${operation.type}, ${operation.messages} matching messages` : operation.type;
+}
+
+// Post an operation lifecycle event to the guild's mod-log channel, if one is configured
+// Audit entries must never break the operation itself, so failures are only logged
+async function postModLog(guild, operationId, event, lines, archive = null) {
+  const channelId = getGuildSetting(guild.id, 'mod-log');
+  if (!channelId) return;
+  
+  try {
+    const channel = guild.channels.cache.get(channelId) || await guild.channels.fetch(channelId);
+    if (!channel) {
+      logger('warn', `Mod-log channel ${channelId} of guild ${guild.id} no longer exists`);
+      return;
+    }
+    
+    await channel.send({
+      embeds: [{
+        color: MOD_LOG_EVENTS[event].color,
+        title: MOD_LOG_EVENTS[event].title,
+        description: lines.join('\n') + describeArchive(archive),
+        footer: { text: `Operation ID: ${operationId}` },
+        timestamp: new Date().toISOString()
+      }],
+      files: getArchiveFiles(archive),
+      allowedMentions: { parse: [] }
+    });
+  } catch (error) {
+    logger('error', `Failed to post "${event}" for operation ${operationId} to the mod log`, error);
+  }
+}
+
+// Delete matched messages channel by channel under one operation ID, so a single abort cancels all of them
+async function deleteMessagesAcrossChannels(messages, progressCallback, operationId) {
+  // Group messages per channel, keeping the channel objects
+  const groups = new Map();
+  for (const msg of messages) {
+    if (!groups.has(msg.channel.id)) groups.set(msg.channel.id, { channel: msg.channel, messages: [] });
+    groups.get(msg.channel.id).messages.push(msg);
+  }
+  
+  let deletedCount = 0;
+  let skippedCount = 0;
+  
+  for (const { channel, messages: channelMessages } of groups.values()) {
+    if (!activeOperations.has(operationId)) {
+      return { deletedCount, skippedCount, aborted: true };
+    }
+    
+    logger('info', `Deleting ${channelMessages.length} messages in #${channel.name}`);
+    
+    // Messages in archived threads can't be deleted, so reopen the thread for the duration
+    const reopenThread = channel.isThread() && channel.archived;
+    if (reopenThread) {
+      try {
+        await channel.setArchived(false, 'seekndelete cleanup');
+      } catch (err) {
+        logger('warn', `Could not unarchive thread #${channel.name}, skipping its messages`, err);
+        skippedCount += channelMessages.length;
+        checkpointOperation(operationId, channel.id, channelMessages.map(msg => msg.id), 0, channelMessages.length);
+        continue;
+      }
+    }
+    
+    // Report progress against the totals of the whole operation
+    const channelProgress = (deleted, skipped, channelTotal, throughput) => progressCallback(deletedCount + deleted, skippedCount + skipped, messages.length, throughput);
+    const result = await bulkDeleteMessages(channel, channelMessages, channelProgress, operationId);
+    
+    deletedCount += result.deletedCount;
+    skippedCount += result.skippedCount;
+    
+    if (reopenThread) {
+      try {
+        await channel.setArchived(true, 'seekndelete cleanup');
+      } catch (err) {
+        logger('warn', `Could not archive thread #${channel.name} again`, err);
+      }
+    }
+    
+    if (result.aborted) {
+      return { deletedCount, skippedCount, aborted: true };
+    }
+  }
+  
+  return { deletedCount, skippedCount, aborted: false };
+}
+
+// Create a new client instance with only needed intents to improve performance
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+    GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildMembers
+  ],
+  // Optimize the REST rate limit handling
+  rest: {
+    retries: 3,
+    timeout: 15000
+  }
+});
+
+// Let the deletion scheduler follow Discord's rate limits
+client.rest.on('rateLimited', info => deletionScheduler.handleRateLimit(info));
+client.rest.on('response', (request, response) => deletionScheduler.handleResponse(request, response));
+
+// Interaction tokens expire after 15 minutes - a reply sent later than this could not be edited for the longest confirm-timeout
+const INTERACTION_REPLY_WINDOW_MS = 5 * 60 * 1000;
+
+// Slash command definition (raw API format), registered when the bot starts
+const SLASH_COMMAND = {
+  name: 'seekndelete',
+  description: 'Search and delete messages',
+  default_member_permissions: '8', // ADMINISTRATOR
+  dm_permission: false,
+  options: [
+    {
+      type: 1, // SUB_COMMAND
+      name: 'search',
+      description: 'Search messages and confirm their deletion',
+      options: [
+        { type: 3, name: 'term', description: 'Text to find' }, // STRING
+        { type: 6, name: 'user', description: 'Only search messages from this user' }, // USER
+        { type: 8, name: 'role', description: 'Only search messages from members with this role' }, // ROLE
+        { type: 7, name: 'channel', description: 'Channel to search (defaults to this one)', channel_types: [0, 5, 10, 11, 12, 15, 16] }, // CHANNEL
+        { type: 7, name: 'category', description: 'Search every channel in this category', channel_types: [4] },
+        {
+          type: 3,
+          name: 'scope',
+          description: 'Search just the channel(s) given, or the whole server',
+          choices: [
+            { name: 'Channel', value: 'channel' },
+            { name: 'Whole server', value: 'guild' }
+          ]
+        },
+        { type: 3, name: 'max-age', description: 'Only search messages newer than this, e.g. 7d, 12h, 2d3h' },
+        { type: 3, name: 'filters', description: 'Query syntax: filters, AND/OR/NOT, after:/before:/around:, --word, ...' },
+        { type: 5, name: 'normalized', description: 'Also match disguised text: look-alikes, leetspeak, zero-width characters, markdown' },
+        { type: 5, name: 'dry-run', description: 'Only report the matches (with a CSV/JSON export), delete nothing' }, // BOOLEAN
+        {
+          type: 3,
+          name: 'format',
+          description: 'Export format for dry runs',
+          choices: [
+            { name: 'CSV', value: 'csv' },
+            { name: 'JSON', value: 'json' }
+          ]
+        },
+        { type: 3, name: 'saved', description: 'Run a saved search', autocomplete: true },
+        { type: 3, name: 'save-as', description: 'Save this search under a name for later' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'dupes',
+      description: 'Find messages repeated many times (floods, raids) and confirm their deletion',
+      options: [
+        { type: 4, name: 'min-copies', description: 'Copies a message needs to count as a flood (default 3)', min_value: 2, max_value: 1000 }, // INTEGER
+        { type: 6, name: 'user', description: 'Only look at messages from this user' },
+        { type: 8, name: 'role', description: 'Only look at messages from members with this role' },
+        { type: 7, name: 'channel', description: 'Channel to search (defaults to this one)', channel_types: [0, 5, 10, 11, 12, 15, 16] },
+        { type: 7, name: 'category', description: 'Search every channel in this category', channel_types: [4] },
+        {
+          type: 3,
+          name: 'scope',
+          description: 'Search just the channel(s) given, or the whole server',
+          choices: [
+            { name: 'Channel', value: 'channel' },
+            { name: 'Whole server', value: 'guild' }
+          ]
+        },
+        { type: 3, name: 'max-age', description: 'Only look at messages newer than this, e.g. 1h, 30m' },
+        { type: 3, name: 'filters', description: 'Query syntax to narrow the messages compared, e.g. has:link joined-within:1h' },
+        { type: 5, name: 'dry-run', description: 'Only report the copies (with a CSV/JSON export), delete nothing' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'abort',
+      description: 'Cancel one operation by ID, or all active operations in this channel',
+      options: [
+        { type: 3, name: 'operation', description: 'Operation ID (from status)' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'status',
+      description: 'Show the active operations in this server',
+      options: [
+        { type: 3, name: 'operation', description: 'Only show this operation' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'pause',
+      description: 'Pause a running deletion after its current batch',
+      options: [
+        { type: 3, name: 'operation', description: 'Operation ID (from status)', required: true }
+      ]
+    },
+    {
+      type: 1,
+      name: 'resume',
+      description: 'Resume a paused deletion',
+      options: [
+        { type: 3, name: 'operation', description: 'Operation ID (from status)', required: true }
+      ]
+    },
+    {
+      type: 1,
+      name: 'restore',
+      description: 'Repost the archived messages of an operation where they were, under their authors\' names',
+      options: [
+        { type: 3, name: 'operation', description: 'Operation ID of the archive', required: true },
+        { type: 3, name: 'filter', description: 'Only these authors or messages, e.g. "@alice webhook:GitHub 123456789012345678"' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'watch',
+      description: 'Delete new messages matching a query as they arrive, for a while',
+      options: [
+        {
+          type: 3,
+          name: 'action',
+          description: 'What to do (default: add a rule)',
+          choices: [
+            { name: 'Add a rule', value: 'start' },
+            { name: 'List the rules', value: 'list' },
+            { name: 'Stop a rule', value: 'stop' }
+          ]
+        },
+        { type: 3, name: 'term', description: 'Text to watch for' },
+        { type: 3, name: 'filters', description: 'Query syntax: filters, AND/OR/NOT, --word, ...' },
+        { type: 6, name: 'user', description: 'Only watch messages from this user' },
+        { type: 8, name: 'role', description: 'Only watch messages from members with this role' },
+        { type: 7, name: 'channel', description: 'Channel to watch (defaults to this one)', channel_types: [0, 5, 10, 11, 12, 15, 16] },
+        { type: 7, name: 'category', description: 'Watch every channel in this category', channel_types: [4] },
+        {
+          type: 3,
+          name: 'scope',
+          description: 'Watch just the channel(s) given, or the whole server',
+          choices: [
+            { name: 'Channel', value: 'channel' },
+            { name: 'Whole server', value: 'guild' }
+          ]
+        },
+        { type: 3, name: 'duration', description: 'How long the rule runs, e.g. 30m, 2h, 1d (default 1 hour)' },
+        { type: 3, name: 'rule', description: 'Rule ID to stop (from the list), or all' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'schedule',
+      description: 'Add, list or manage recurring purges (retention schedules)',
+      options: [
+        {
+          type: 3,
+          name: 'action',
+          description: 'What to do (default: list the schedules)',
+          choices: [
+            { name: 'List the schedules', value: 'list' },
+            { name: 'Add a schedule', value: 'add' },
+            { name: 'Remove a schedule', value: 'remove' },
+            { name: 'Pause a schedule', value: 'pause' },
+            { name: 'Resume a schedule', value: 'resume' }
+          ]
+        },
+        { type: 3, name: 'every', description: 'How often to run, e.g. 1h, 24h, 7d' },
+        { type: 3, name: 'older-than', description: 'Only delete messages older than this, e.g. 7d, 2h' },
+        { type: 3, name: 'term', description: 'Text to purge (leave out to purge every message older than older-than)' },
+        { type: 3, name: 'filters', description: 'Query syntax: filters, AND/OR/NOT, --word, ...' },
+        { type: 6, name: 'user', description: 'Only purge messages from this user' },
+        { type: 8, name: 'role', description: 'Only purge messages from members with this role' },
+        { type: 7, name: 'channel', description: 'Channel to purge (defaults to this one)', channel_types: [0, 5, 10, 11, 12, 15, 16] },
+        { type: 7, name: 'category', description: 'Purge every channel in this category', channel_types: [4] },
+        { type: 3, name: 'schedule', description: 'Schedule ID to remove, pause or resume (from the list)' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'access',
+      description: 'Show or change who may search, delete and abort',
+      options: [
+        { type: 3, name: 'change', description: 'e.g. "allow delete @Mods", "cap @Mods 200", "revoke all ManageMessages", "reset"' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'blocklist',
+      description: 'Show or change the domains matched by the domain:blocklist filter',
+      options: [
+        { type: 3, name: 'change', description: 'e.g. "add dlscord.gift *.gift bit.ly/abc", "remove bit.ly/abc", "clear"' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'config',
+      description: 'Show or change the settings of this server',
+      options: [
+        {
+          type: 3,
+          name: 'action',
+          description: 'What to do (default: show the settings)',
+          choices: [
+            { name: 'Show', value: 'get' },
+            { name: 'Set', value: 'set' },
+            { name: 'Reset to default', value: 'reset' }
+          ]
+        },
+        {
+          type: 3,
+          name: 'setting',
+          description: 'Setting to show or change',
+          choices: Object.keys(GUILD_SETTINGS).map(key => ({ name: key, value: key }))
+        },
+        { type: 3, name: 'value', description: 'New value, e.g. on, off, 120, #channel, @roles or none' }
+      ]
+    },
+    {
+      type: 1,
+      name: 'modlog',
+      description: 'Show or set the channel that logs every operation',
+      options: [
+        { type: 7, name: 'channel', description: 'Channel for the audit trail', channel_types: [0, 5] },
+        { type: 5, name: 'disable', description: 'Stop logging operations to a channel' }
+      ]
+    }
+  ]
+};
+
+// Register the slash command - per guild if SLASH_COMMAND_GUILD_ID is set (updates instantly), globally otherwise
+async function registerSlashCommand() {
+  const guildId = process.env.SLASH_COMMAND_GUILD_ID;
+  try {
+    await client.application.commands.set([SLASH_COMMAND], guildId || undefined);
+    logger('info', `Registered /${SLASH_COMMAND.name} ${guildId ? `in guild ${guildId}` : 'globally'}`);
+  } catch (error) {
+    logger('error', 'Failed to register slash command', error);
+  }
+}
+
+// When the client is ready, run this code (only once)
+client.once('ready', () => {
+  logger('info', `Bot started and logged in as ${client.user.tag}`);
+  logger('info', `Current date: ${new Date().toISOString()}`);
+  logger('info', `Log level set to: ${logLevelStr.toUpperCase()}`);
+  logger('info', `Case-sensitive search (default): ${useCaseSensitiveSearch}`);
+  logger('info', `Regex timeout: ${REGEX_TIMEOUT_MS}ms`);
+  logger('info', `File logging: ${enableFileLogging}`);
+  logger('info', `Archive before delete: ${archiveBeforeDelete}`);
+  
+  registerSlashCommand();
+  recoverPersistedOperations();
+  restoreWatchRules();
+  restoreSchedules();
+});
+
+// Message fetching with optimized speed
+async function fetchMessages(channel, options = {}, operationId) {
+  try {
+    // Use a shorter timeout for faster response
+    return await channel.messages.fetch(options);
+  } catch (err) {
+    // Check if operation was aborted
+    if (operationId && !activeOperations.has(operationId)) {
+      logger('info', `Operation ${operationId} was aborted during message fetching`);
+      return { size: 0, aborted: true };
+    }
+    
+    logger('error', `Error fetching messages: ${err.message}`);
+    // Add a small delay before retrying to avoid rate limits
+    await sleep(1000);
+    return await channel.messages.fetch(options);
+  }
+}
+
+// Helper function to find the oldest and newest message IDs in a fetched batch
+// (don't rely on collection order, it differs between before/after fetches)
+function getBatchIdRange(fetched) {
+  let oldest = null;
+  let newest = null;
+  for (const id of fetched.keys()) {
+    const value = BigInt(id);
+    if (oldest === null || value < oldest) oldest = value;
+    if (newest === null || value > newest) newest = value;
+  }
+  return { oldestId: oldest.toString(), newestId: newest.toString() };
+}
+
+// Create a cursor that pages through a channel's messages within the resolved bounds
+// Starts at the before: bound (or the newest message) and walks back, or walks forward from an after: bound
+// An around: bound takes a single page centered on it
+function createFetchCursor(channel, bounds) {
+  const fetchLimit = 100; // Maximum supported by Discord API
+  let position = bounds.forward ? bounds.afterId : bounds.beforeId;
+  
+  return {
+    channel,
+    fetchCount: 0,
+    done: false,
+    
+    async next(operationId) {
+      const options = { limit: fetchLimit };
+      if (bounds.aroundId) {
+        options.around = bounds.aroundId;
+        this.done = true;
+      } else if (bounds.forward) {
+        options.after = position;
+      } else if (position) {
+        options.before = position;
+      }
+      
+      this.fetchCount++;
+      const fetched = await fetchMessages(channel, options, operationId);
+      if (fetched.aborted) return fetched;
+      
+      if (fetched.size === 0) {
+        this.done = true;
+        return fetched;
+      }
+      
+      const { oldestId, newestId } = getBatchIdRange(fetched);
+      if (bounds.forward) {
+        position = newestId;
+        if (bounds.beforeId && BigInt(newestId) >= BigInt(bounds.beforeId)) this.done = true;
+      } else {
+        position = oldestId;
+        if (bounds.afterId && BigInt(oldestId) <= BigInt(bounds.afterId)) {
+          this.done = true;
+          logger('debug', `Reached the lower bound in batch ${this.fetchCount}`);
+        }
+      }
+      
+      // A short page means there is nothing left in this direction
+      if (fetched.size < fetchLimit) this.done = true;
+      
+      return fetched;
+    }
+  };
+}
+
+// Search the channels for messages matching the query, one cursor per channel
+// Progress is kept in the operation's searchProgress; the search stops early once the operation is aborted
+// Matches kept by the protection (see resolveProtection) are only counted, per rule
+async function findMatchingMessages(operationId, channels, bounds, query, authors, protection) {
+  const matchingMessages = [];
+  // Which field matched, per message ID (for reports)
+  const matchedFields = new Map();
+  // Matches kept by each safety rule
+  const protectedCounts = { pinned: 0, users: 0, roles: 0 };
+  // Each channel gets its own cursor
+  const cursors = channels.map(channel => createFetchCursor(channel, bounds));
+  const getFetchCount = () => cursors.reduce((total, cursor) => total + cursor.fetchCount, 0);
+  const skippedChannels = [];
+  let channelsSearched = 0;
+  let fetched;
+  let abortedDuringSearch = false;
+  
+  const updateSearchProgress = () => {
+    const operation = activeOperations.get(operationId);
+    if (operation) {
+      operation.searchProgress = { channels: channelsSearched, totalChannels: cursors.length, batches: getFetchCount(), matches: matchingMessages.length };
+    }
+  };
+  updateSearchProgress();
+  
+  // Member filters and roles look the authors up in the member cache, so load every member once
+  if (channels.length > 0 && (queryNeedsMembers(query) || authorsNeedMembers(authors) || protection.roleIds.length > 0)) {
+    await channels[0].guild.members.fetch();
+  }
+  
+  // The main search loop - optimized for speed
+  for (const cursor of cursors) {
+    try {
+      do {
+        // Check if operation was aborted
+        if (!activeOperations.has(operationId)) {
+          logger('info', `Search operation ${operationId} was aborted`);
+          abortedDuringSearch = true;
+          break;
+        }
+        
+        // Fetch the next page from the cursor
+        fetched = await cursor.next(operationId);
+        
+        // Check if operation was aborted during fetch
+        if (fetched.aborted) {
+          abortedDuringSearch = true;
+          break;
+        }
+        
+        // Filter messages that match criteria - optimized with early returns
+        for (const [id, msg] of fetched) {
+          // Check if operation was aborted
+          if (!activeOperations.has(operationId)) {
+            logger('info', `Search operation ${operationId} was aborted during message filtering`);
+            abortedDuringSearch = true;
+            break;
+          }
+          
+          // Skip if outside the time window
+          if (!isWithinBounds(id, bounds)) continue;
+          
+          // Check if the author matches (users, roles and webhooks, minus the exclusions)
+          if (!matchesAuthors(authors, msg)) continue;
+          
+          // Check if content matches (including embeds)
+          const hits = [];
+          const contentMatches = evaluateQuery(query, msg, hits);
+          if (contentMatches) {
+            // Pinned messages and protected authors are counted, never matched
+            const protectionRule = getProtectionRule(protection, msg);
+            if (protectionRule) {
+              protectedCounts[protectionRule]++;
+              continue;
+            }
+            matchingMessages.push(msg);
+            matchedFields.set(msg.id, hits);
+          }
+        }
+        
+        // Check if the operation was aborted during message filtering
+        if (abortedDuringSearch) break;
+        
+        updateSearchProgress();
+        
+        // Introduce small delay only if we're hitting rate limits
+        // This is a compromise between speed and reliability
+        if (fetched.size > 0 && getFetchCount() % 5 === 0) {
+          await sleep(300);
+        }
+      } while (!cursor.done);
+    } catch (err) {
+      // Pattern errors apply to every channel, anything else only to this one
+      if (err instanceof SearchPatternError) throw err;
+      logger('error', `Failed to search channel #${cursor.channel.name}, skipping it`, err);
+      skippedChannels.push(cursor.channel);
+    }
+    
+    if (abortedDuringSearch) break;
+    channelsSearched++;
+  }
+  
+  return { matchingMessages, matchedFields, protectedCounts, skippedChannels, channelsSearched, fetchCount: getFetchCount(), aborted: abortedDuringSearch };
+}
+
+// Handle a search command - shared by the prefix command and the slash command
+// Expected format: <query> [@sender] [maxAge] [after:<bound>] [before:<bound>] [around:<bound>] [scope] [--dry-run] [--word] [--case-sensitive|--ignore-case]
+// In dry-run (report) mode the matches are reported and exported instead of offered for deletion
+// In dupes mode the query is optional and only messages repeated at least --min-copies times match, grouped by their text
+async function handleSearchCommand(ctx, args, { dryRun = false, dupes = false } = {}) {
+  logger('info', `Search command received in channel ${ctx.channel.name}`, {
+    user: ctx.user.tag,
+    command: args
+  });
+  
+  let parsed;
+  let searchScope;
+  try {
+    parsed = parseSearchArgs(args, getGuildConfig(ctx.guild.id), { allowEmptyQuery: dupes });
+    if (parsed.minCopies && !dupes) {
+      throw new QueryParseError(`--min-copies only applies to ${ctx.prefix} dupes`);
+    }
+    searchScope = await resolveSearchChannels(ctx, parsed.scope);
+  } catch (err) {
+    if (err instanceof QueryParseError) {
+      logger('warn', `Invalid command format - ${err.message}`);
+      return ctx.reply(`Could not parse your search: ${formatQueryParseError(err, args)}`);
+    }
+    throw err;
+  }
+  
+  const { query, matchOptions, authors, maxAgeMs } = parsed;
+  const isReport = dryRun || parsed.dryRun;
+  const bounds = resolveSearchBounds(maxAgeMs, parsed.bounds, parsed.minAgeMs);
+  const windowText = bounds.description ? ` ${bounds.description}` : '';
+  const searchChannels = searchScope.channels;
+  const scopeText = ` ${searchScope.description}`;
+  const searchingAllUsers = !hasAuthorInclusions(authors);
+  const authorsDescription = describeAuthors(authors);
+  const protection = resolveProtection(ctx.guild.id, parsed.safety);
+  const safetyOverrides = describeSafetyOverrides(parsed.safety);
+  const queryDescription = queryHasTerms(query) ?
+    `${describeQuery(query)} (${describeMatchOptions(matchOptions)})` :
+    describeQuery(query);
+  const minCopies = parsed.minCopies || DEFAULT_DUPLICATE_MIN_COPIES;
+  const searchDescription = !dupes ? queryDescription :
+    `messages repeated at least ${minCopies} times${query === MATCH_ALL_QUERY ? '' : ` among messages matching ${queryDescription}`}`;
+  
+  if (searchingAllUsers) {
+    logger('info', `Searching messages from all users`);
+  } else {
+    logger('info', `Searching messages from specific authors: ${authorsDescription}`);
+  }
+  
+  if (bounds.description) {
+    logger('info', `Searching messages${windowText}`, { afterId: bounds.afterId, beforeId: bounds.beforeId, forward: bounds.forward });
+  } else {
+    logger('info', `No time window specified, searching without time limit`);
+  }
+  
+  // Create a unique operation ID for this task
+  const operationId = createOperationId();
+  
+  // Register the operation
+  activeOperations.set(operationId, {
+    guildId: ctx.guild.id,
+    channelId: ctx.channel.id,
+    channelIds: searchChannels.map(channel => channel.id),
+    userId: ctx.user.id,
+    startTime: Date.now(),
+    type: isReport ? 'report' : 'search',
+    details: {
+      searchContent: searchDescription,
+      authors: authorsDescription,
+      maxAge: maxAgeMs ? formatMaxAge(maxAgeMs) : 'No limit',
+      window: bounds.description || 'No limit',
+      scope: searchScope.description
+    }
+  });
+  
+  await postModLog(ctx.guild, operationId, 'started', [
+    `${isReport ? 'Report' : 'Search'} started by <@${ctx.user.id}> (${ctx.user.tag}) in <#${ctx.channel.id}>`,
+    `Matching: ${searchDescription}`,
+    `From: ${authorsDescription}`,
+    `Scope: ${searchScope.description}`,
+    `Time window: ${bounds.description || 'No limit'}`,
+    ...(safetyOverrides ? [`Safety overrides: ${safetyOverrides}`] : [])
+  ]);
+  
+  try {
+    // Inform user that search is in progress
+    const searchingMsg = await ctx.send(
+      searchingAllUsers ? 
+      `Searching for messages from all users${scopeText}${windowText}, please wait...` : 
+      `Searching for messages from the specified authors${scopeText}${windowText}, please wait...`
+    );
+    
+    let searchingAnimation;
+    
+    // Create a search progress animation
+    if (MIN_LOG_LEVEL <= LOG_LEVELS.debug) {
+      searchingAnimation = setInterval(async () => {
+        // Check if operation was aborted
+        const operation = activeOperations.get(operationId);
+        if (!operation) {
+          clearInterval(searchingAnimation);
+          return;
+        }
+        
+        const progress = operation.searchProgress;
+        if (!progress) return;
+        
+        try {
+          await searchingMsg.edit(`Searching... ${progress.channels}/${progress.totalChannels} channels done, fetched ${progress.batches} message batches, found ${progress.matches} matches so far.`);
+        } catch (error) {
+          logger('error', 'Failed to update search animation', error);
+          clearInterval(searchingAnimation);
+        }
+      }, 3000);
+    }
+    
+    const startTime = Date.now();
+    
+    // Update operation status
+    activeOperations.get(operationId).type = 'searching';
+    
+    let search;
+    try {
+      search = await findMatchingMessages(operationId, searchChannels, bounds, query, authors, protection);
+    } finally {
+      // Clear the animation interval if it was created
+      if (searchingAnimation) {
+        clearInterval(searchingAnimation);
+      }
+    }
+    const { matchedFields, skippedChannels } = search;
+    const protectedText = describeProtectedCounts(search.protectedCounts);
+    
+    // Dupes mode keeps only the copies in groups of near-identical messages, best scoring group first
+    const duplicateGroups = dupes ?
+      findDuplicateGroups(search.matchingMessages, minCopies, getGuildSetting(ctx.guild.id, 'dupes-min-length')) :
+      null;
+    const matchingMessages = dupes ? duplicateGroups.flatMap(group => group.messages) : search.matchingMessages;
+    
+    const searchDuration = (Date.now() - startTime) / 1000;
+    logger('info', `Search completed in ${searchDuration.toFixed(2)}s. Found ${matchingMessages.length} matching messages in ${search.fetchCount} batches across ${search.channelsSearched} channels.`);
+    
+    // If operation was aborted during search, clean up and exit
+    if (search.aborted || !activeOperations.has(operationId)) {
+      // Try to delete the searching message
+      try {
+        await searchingMsg.delete();
+      } catch (error) {
+        logger('warn', 'Could not delete search message after abort', error);
+      }
+      
+      // Try to send abort notification
+      try {
+        await ctx.send('Search operation was aborted.');
+      } catch (error) {
+        logger('error', 'Failed to send abort notification', error);
+      }
+      
+      // Remove the operation if it's still there
+      activeOperations.delete(operationId);
+      return;
+    }
+    
+    // Delete the "searching" message
+    try {
+      await searchingMsg.delete();
+    } catch (error) {
+      logger('warn', 'Could not delete search message', error);
+    }
+    
+    if (matchingMessages.length === 0) {
+      logger('info', `No matching messages found`);
+      // Remove the operation from active operations
+      activeOperations.delete(operationId);
+      const keptText = protectedText ? ` Kept by the safety rules: ${protectedText}.` : '';
+      await postModLog(ctx.guild, operationId, 'completed', [`No matching messages found, nothing was deleted.${keptText}`]);
+      if (dupes) {
+        return ctx.reply(`No ${searchDescription} found${searchingAllUsers ? '' : ` from ${authorsDescription}`}${scopeText}${windowText}.${keptText}`);
+      }
+      return ctx.reply(
+        searchingAllUsers ?
+        `No messages found matching ${searchDescription}${scopeText}${windowText}.${keptText}` :
+        `No messages found from ${authorsDescription} matching ${searchDescription}${scopeText}${windowText}.${keptText}`
+      );
+    }
+    
+    // Sort messages by timestamp (oldest first) - duplicates stay grouped for the preview
+    if (!dupes) {
+      matchingMessages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    }
+    const messagesByTime = dupes ? [...matchingMessages].sort((a, b) => a.createdTimestamp - b.createdTimestamp) : matchingMessages;
+    
+    // Get first and last message for links
+    const oldestMessage = messagesByTime[0];
+    const newestMessage = messagesByTime[messagesByTime.length - 1];
+    
+    const oldestDate = formatDate(oldestMessage.createdTimestamp);
+    const newestDate = formatDate(newestMessage.createdTimestamp);
+    
+    const oldestLink = getMessageLink(oldestMessage);
+    const newestLink = getMessageLink(newestMessage);
+    
+    // Count message sources but only if searching all users (optimization)
+    const sourceStats = searchingAllUsers ? {
+      user: 0,
+      bot: 0,
+      webhook: 0,
+      embed: 0
+    } : null;
+    
+    // Get unique senders if searching all users
+    let fromText = '';
+    let uniqueSenders = [];
+    
+    if (searchingAllUsers) {
+      // Optimized unique sender calculation
+      const senderMap = new Map();
+      
+      matchingMessages.forEach(msg => {
+        // Count by source type if needed
+        if (sourceStats) {
+          const sourceType = getMessageSourceType(msg);
+          sourceStats[sourceType]++;
+        }
+        
+        // Track unique senders
+        const senderKey = getSenderKey(msg);
+        senderMap.set(senderKey, senderKey.substring(senderKey.indexOf('_') + 1));
+      });
+      
+      // Convert to array of senders
+      uniqueSenders = Array.from(senderMap.entries()).map(([key, value]) => {
+        return { 
+          isWebhook: key.startsWith('wb_'),
+          id: value
+        };
+      });
+      
+      logger('info', `Found messages from ${uniqueSenders.length} unique sources`);
+      
+      // Format the list of senders
+      if (uniqueSenders.length <= 10) {
+        // If 10 or fewer senders, list them all
+        fromText = 'From: ' + uniqueSenders.map(sender => {
+          if (!sender.isWebhook) {
+            return `<@${sender.id}>`;
+          } else {
+            return `"${sender.id}" (Webhook)`;
+          }
+        }).join(', ');
+      } else {
+        // If more than 10 senders, show count and first few
+        const firstFew = uniqueSenders.slice(0, 5).map(sender => {
+          if (!sender.isWebhook) {
+            return `<@${sender.id}>`;
+          } else {
+            return `"${sender.id}" (Webhook)`;
+          }
+        });
+        
+        fromText = `From: ${uniqueSenders.length} sources including ` + 
+                   firstFew.join(', ') + 
+                   ` and ${uniqueSenders.length - 5} more`;
+      }
+    } else {
+      fromText = `From: ${authorsDescription}`;
+    }
+    
+    // Include source statistics in the embed if there are mixed sources
+    let sourceStatsText = '';
+    if (sourceStats && (sourceStats.webhook > 0 || sourceStats.bot > 0)) {
+      sourceStatsText = '\n\nSources:';
+      if (sourceStats.user > 0) sourceStatsText += `\nUsers: ${sourceStats.user}`;
+      if (sourceStats.bot > 0) sourceStatsText += `\nBots: ${sourceStats.bot}`;
+      if (sourceStats.webhook > 0) sourceStatsText += `\nWebhooks: ${sourceStats.webhook}`;
+    }
+    
+    // Time window info
+    const timeWindowText = bounds.description ? `\nTime window: ${bounds.description}` : '';
+    
+    // Matches the safety rules kept, and a warning for broad queries let through with --allow-broad
+    const keptText = protectedText ?
+      `\nKept by safety rules: ${protectedText} (add --include-pinned or --include-protected to include them)` :
+      '';
+    const duplicatesText = dupes ? `\n\n${describeDuplicateGroups(duplicateGroups)}` : '';
+    const broadText = parsed.broadTerms.length > 0 ?
+      `\n\nWarning: ${parsed.broadTerms.join(', ')} may match far more than intended.` :
+      '';
+    
+    // Group the results per channel when more than one channel was searched
+    let channelsText = '';
+    if (searchChannels.length > 1) {
+      const channelCounts = new Map();
+      matchingMessages.forEach(msg => {
+        channelCounts.set(msg.channel.id, (channelCounts.get(msg.channel.id) || 0) + 1);
+      });
+      
+      const sortedCounts = Array.from(channelCounts.entries()).sort((a, b) => b[1] - a[1]);
+      channelsText = `\n\nChannels (${sortedCounts.length} of ${searchChannels.length} searched):\n` +
+        sortedCounts.slice(0, 10).map(([channelId, count]) => `<#${channelId}>: ${count}`).join('\n');
+      if (sortedCounts.length > 10) {
+        channelsText += `\n...and ${sortedCounts.length - 10} more channels`;
+      }
+    }
+    
+    if (skippedChannels.length > 0) {
+      channelsText += `\n\nCould not search ${skippedChannels.length} ${skippedChannels.length === 1 ? 'channel' : 'channels'}: ` +
+        skippedChannels.slice(0, 5).map(channel => `<#${channel.id}>`).join(', ');
+    }
+    
+    // Time range information
+    const timeRangeText = `\n\nTime range: ${oldestDate} to ${newestDate}`;
+    
+    // Message links
+    const linksText = `\n\n[Oldest Message](${oldestLink}) | [Newest Message](${newestLink})`;
+    
+    // Operation ID info (for debugging)
+    const operationText = `\n\nOperation ID: ${operationId}`;
+    
+    // In report mode, post the breakdown with an export instead of asking for confirmation
+    if (isReport) {
+      const reportEmbed = {
+        color: 0x3498DB, // Blue for reports
+        title: 'Search Report (dry run - nothing was deleted)',
+        description: `Found ${matchingMessages.length} messages${keptText}\n${fromText}\nMatching: ${searchDescription}${timeWindowText}${duplicatesText}${channelsText}${sourceStatsText}${timeRangeText}${linksText}${operationText}`
+      };
+      
+      const report = buildSearchReport(operationId, matchingMessages, matchedFields, parsed.reportFormat);
+      activeOperations.delete(operationId);
+      
+      if (report.savedPath) {
+        reportEmbed.description += `\n\nThe export is too large to upload and was saved as \`${path.relative(__dirname, report.savedPath)}\``;
+      }
+      
+      logger('info', `Sent search report for operation ${operationId} with ${matchingMessages.length} matches`);
+      await postModLog(ctx.guild, operationId, 'completed', [`Report (dry run) with ${matchingMessages.length} matching messages, nothing was deleted.`]);
+      return ctx.send({ embeds: [reportEmbed], files: report.files });
+    }
+    
+    // Senders for the exclusion menu, most matches first
+    const senderCounts = new Map();
+    matchingMessages.forEach(msg => {
+      const key = getSenderKey(msg);
+      if (!senderCounts.has(key)) {
+        senderCounts.set(key, { key, name: msg.webhookId ? `${msg.author.username || 'Webhook'} (webhook)` : msg.author.tag, count: 0 });
+      }
+      senderCounts.get(key).count++;
+    });
+    const senders = Array.from(senderCounts.values()).sort((a, b) => b.count - a.count);
+    
+    // Review state - what the admin excluded, which page they're on and what Yes does with the selection
+    // Follow-up actions on the authors are only offered for server-wide searches
+    // Selections above the confirm threshold need the count typed in, or the approval of a second member (approvedBy)
+    const preview = { page: 0, excludedIds: new Set(), excludedSenders: new Set(), followUpOffered: parsed.scope.guild, action: parseActionChoice('delete'), confirmThreshold: getGuildSetting(ctx.guild.id, 'confirm-threshold'), approvedBy: null };
+    
+    // Dupes mode can keep the first copy of every group, or whole groups
+    if (dupes) {
+      const groupOf = new Map();
+      duplicateGroups.forEach((group, index) => group.messages.forEach(msg => groupOf.set(msg.id, index)));
+      preview.duplicates = { groups: duplicateGroups, groupOf, keepFirst: false, excludedGroups: new Set() };
+    }
+    
+    // Build the confirmation message for the current review state
+    const buildConfirmationPayload = () => {
+      const selectedCount = getSelectedMessages(matchingMessages, preview).length;
+      const excludedCount = matchingMessages.length - selectedCount;
+      const selectionText = excludedCount > 0 ?
+        `Found ${matchingMessages.length} messages, ${selectedCount} selected for deletion (${excludedCount} excluded)` :
+        `Found ${matchingMessages.length} messages`;
+      const followUpText = preview.action.followUp ?
+        `\nFollow-up: ${FOLLOW_UP_ACTIONS[preview.action.followUp].label.replace(/^Also /, '')} (${getFollowUpUserIds(getSelectedMessages(matchingMessages, preview)).length} users)` :
+        '';
+      let actionText = '';
+      if (preview.action.type === 'timeout') {
+        actionText = `\nAction: ${describeActionChoice(preview.action)} (${getFollowUpUserIds(getSelectedMessages(matchingMessages, preview)).length} users)`;
+      } else if (preview.action.type !== 'delete') {
+        actionText = `\nAction: ${describeActionChoice({ ...preview.action, followUp: null })}`;
+      }
+      let thresholdText = '';
+      if (isOverConfirmThreshold(selectedCount, preview)) {
+        thresholdText = preview.approvedBy ?
+          `\n\nApproved by <@${preview.approvedBy}>, so anyone else allowed to delete can confirm.` :
+          `\n\nThis is more than ${preview.confirmThreshold} messages: Yes asks for the exact count, unless another member allowed to delete presses Approve first.`;
+      }
+      
+      const embed = {
+        color: 0xFFD700, // Yellow for the embed
+        title: 'Message Deletion Confirmation',
+        description: `${selectionText}${keptText}\n${fromText}\nMatching: ${searchDescription}${timeWindowText}${duplicatesText}${channelsText}${sourceStatsText}${timeRangeText}${linksText}${actionText}${followUpText}${operationText}${broadText}${thresholdText}\n\nReview the matches below, exclude anything that should stay, then ${OPERATION_ACTIONS[preview.action.type].question}?`,
+        footer: { text: `Only members allowed to delete can confirm. Use ${ctx.prefix} abort to cancel.` }
+      };
+      
+      return {
+        embeds: [embed, buildPreviewPageEmbed(matchingMessages, matchedFields, preview)],
+        components: buildPreviewComponents(matchingMessages, matchedFields, senders, preview)
+      };
+    };
+    
+    // Update operation status
+    activeOperations.get(operationId).type = 'awaiting_confirmation';
+    activeOperations.get(operationId).messages = matchingMessages.length;
+    
+    const confirmationMessage = await ctx.send(buildConfirmationPayload());
+    logger('info', `Sent confirmation message with ID ${confirmationMessage.id}`);
+    
+    // Create collector for button and menu interactions
+    const componentIds = ['confirm_delete', 'cancel_delete', 'preview_prev', 'preview_next', 'preview_exclude_messages', 'preview_exclude_senders', 'preview_duplicates', 'preview_action', 'preview_approve'];
+    const filter = i => componentIds.includes(i.customId);
+    const confirmTimeout = getGuildSetting(ctx.guild.id, 'confirm-timeout');
+    const collector = confirmationMessage.createMessageComponentCollector({ filter, time: confirmTimeout * 1000 });
+    
+    // Handle one button or menu interaction on the confirmation
+    const handleConfirmationInteraction = async interaction => {
+      // Reviewing and confirming both need the delete right
+      const access = requireAccess(interaction.member, interaction.user, 'delete');
+      if (!access.allowed) {
+        await interaction.reply({ content: `You don't have permission to delete with seekndelete (${access.rule}).`, ephemeral: true });
+        return;
+      }
+      
+      // Check if operation still exists
+      if (!activeOperations.has(operationId)) {
+        logger('info', `Operation ${operationId} no longer exists, ignoring button click`);
+        await interaction.reply({ content: 'This operation has been aborted.', ephemeral: true });
+        collector.stop();
+        return;
+      }
+      
+      // Once Yes was pressed nothing else is taken, so a second click can't start the operation twice
+      if (activeOperations.get(operationId).type !== 'awaiting_confirmation') {
+        await interaction.reply({ content: 'This operation is already being confirmed.', ephemeral: true });
+        return;
+      }
+      
+      logger('info', `Button pressed: ${interaction.customId}`, {
+        user: interaction.user.tag,
+        userId: interaction.user.id
+      });
+      
+      // Review interactions: page through matches or change the exclusions, then redraw
+      if (interaction.customId.startsWith('preview_')) {
+        const pageCount = Math.ceil(matchingMessages.length / PREVIEW_PAGE_SIZE);
+        
+        if (interaction.customId === 'preview_prev') {
+          preview.page = Math.max(0, preview.page - 1);
+        } else if (interaction.customId === 'preview_next') {
+          preview.page = Math.min(pageCount - 1, preview.page + 1);
+        } else if (interaction.customId === 'preview_exclude_messages') {
+          const pageMessages = matchingMessages.slice(preview.page * PREVIEW_PAGE_SIZE, (preview.page + 1) * PREVIEW_PAGE_SIZE);
+          for (const msg of pageMessages) {
+            if (interaction.values.includes(msg.id)) {
+              preview.excludedIds.add(msg.id);
+            } else {
+              preview.excludedIds.delete(msg.id);
+            }
+          }
+          // An approval covers the selection it was given for
+          preview.approvedBy = null;
+        } else if (interaction.customId === 'preview_exclude_senders') {
+          for (const sender of senders.slice(0, 25)) {
+            if (interaction.values.includes(sender.key)) {
+              preview.excludedSenders.add(sender.key);
+            } else {
+              preview.excludedSenders.delete(sender.key);
+            }
+          }
+          preview.approvedBy = null;
+        } else if (interaction.customId === 'preview_duplicates') {
+          preview.duplicates.keepFirst = interaction.values.includes('keep_first');
+          preview.duplicates.excludedGroups = new Set(interaction.values
+            .filter(value => value.startsWith('group:'))
+            .map(value => parseInt(value.substring('group:'.length), 10)));
+          preview.approvedBy = null;
+        } else if (interaction.customId === 'preview_action') {
+          // An approval covers the action it was given for
+          const action = parseActionChoice(interaction.values[0] || 'delete');
+          if (action.type !== preview.action.type) preview.approvedBy = null;
+          preview.action = action;
+        } else if (interaction.customId === 'preview_approve') {
+          preview.approvedBy = interaction.user.id;
+          logger('info', `Deletion of ${getSelectedMessages(matchingMessages, preview).length} messages approved by ${interaction.user.tag}`, { operationId });
+        }
+        
+        activeOperations.get(operationId).messages = getSelectedMessages(matchingMessages, preview).length;
+        
+        // Give the admin time to review
+        collector.resetTimer();
+        
+        try {
+          await interaction.update(buildConfirmationPayload());
+        } catch (error) {
+          logger('error', 'Failed to update confirmation preview', error);
+        }
+        return;
+      }
+      
+      if (interaction.customId === 'cancel_delete') {
+        // User clicked "No"
+        logger('info', `Deletion cancelled by ${interaction.user.tag}`);
+        // Remove the operation from active operations
+        activeOperations.delete(operationId);
+        await postModLog(ctx.guild, operationId, `${preview.action.type}Cancelled`, [`Cancelled by <@${interaction.user.id}> (${interaction.user.tag}) with ${matchingMessages.length} matching messages`]);
+        
+        try {
+          await confirmationMessage.delete();
+        } catch (error) {
+          logger('error', 'Failed to delete confirmation message', error);
+        }
+        collector.stop();
+      } else if (interaction.customId === 'confirm_delete') {
+        // User clicked "Yes" - only the messages left after the exclusions are processed
+        const selectedMessages = getSelectedMessages(matchingMessages, preview);
+        const action = OPERATION_ACTIONS[preview.action.type];
+        if (selectedMessages.length === 0) {
+          await interaction.reply({ content: `Every match is excluded, so there is nothing to ${preview.action.type === 'delete' ? 'delete' : 'act on'}.`, ephemeral: true });
+          return;
+        }
+        
+        // The server-wide limit applies to everyone, administrators included
+        const maxMessages = getGuildSetting(ctx.guild.id, 'max-messages');
+        if (maxMessages !== null && selectedMessages.length > maxMessages) {
+          await interaction.reply({
+            content: `This server allows at most ${maxMessages} messages per operation. Exclude some matches or narrow the search.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        // Members with a capped role can only confirm deletions up to their cap
+        const deleteCap = getDeleteCap(interaction.member);
+        if (deleteCap !== null && selectedMessages.length > deleteCap) {
+          logger('warn', `User ${interaction.user.tag} was denied deleting ${selectedMessages.length} messages`, { rule: `deletion cap of ${deleteCap} messages` });
+          await interaction.reply({
+            content: `You can delete at most ${deleteCap} messages per operation. Exclude some matches or ask an administrator to confirm.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        // Timing out the authors and the follow-up actions also need the matching Discord permission
+        if (action.permission && !interaction.member.permissions.has(action.permission)) {
+          await interaction.reply({
+            content: `You need the ${action.permissionName} permission to time out the authors. Choose another action or ask someone who has it.`,
+            ephemeral: true
+          });
+          return;
+        }
+        const followUp = preview.action.followUp ? FOLLOW_UP_ACTIONS[preview.action.followUp] : null;
+        if (followUp && !interaction.member.permissions.has(followUp.permission)) {
+          await interaction.reply({
+            content: `You need the ${followUp.permissionName} permission for this follow-up. Choose an action without it or ask someone who has it.`,
+            ephemeral: true
+          });
+          return;
+        }
+        const followUpUserIds = followUp ? getFollowUpUserIds(selectedMessages) : [];
+        
+        // Quarantined messages are reposted in the staff channel set up for it
+        const quarantineChannelId = preview.action.type === 'quarantine' ? getGuildSetting(ctx.guild.id, 'quarantine-channel') : null;
+        const quarantineChannel = quarantineChannelId ? ctx.guild.channels.cache.get(quarantineChannelId) : null;
+        if (preview.action.type === 'quarantine' && !quarantineChannel) {
+          await interaction.reply({
+            content: `There is no quarantine channel. An administrator can set one with ${ctx.prefix} config set quarantine-channel #channel.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        // Everything checks out - from here on other clicks are turned away
+        activeOperations.get(operationId).type = 'confirming';
+        
+        // Above the confirm threshold the count has to be typed in, unless someone else approved the selection
+        let confirmation = interaction;
+        const overThreshold = isOverConfirmThreshold(selectedMessages.length, preview);
+        if (overThreshold && (!preview.approvedBy || preview.approvedBy === interaction.user.id)) {
+          collector.resetTimer();
+          confirmation = await confirmTypedCount(interaction, operationId, selectedMessages.length, confirmTimeout);
+          if (!confirmation) {
+            // A wrong or missing count leaves the confirmation open for another try
+            const operation = activeOperations.get(operationId);
+            if (operation && operation.type === 'confirming') operation.type = 'awaiting_confirmation';
+            return;
+          }
+          
+          // The confirmation may have timed out, been aborted or changed while the modal was open
+          const operation = activeOperations.get(operationId);
+          if (!operation || operation.type !== 'confirming' || getSelectedMessages(matchingMessages, preview).length !== selectedMessages.length) {
+            await confirmation.reply({ content: 'The selection changed or is no longer waiting for confirmation, so nothing was deleted.', ephemeral: true });
+            return;
+          }
+        }
+        
+        const excludedCount = matchingMessages.length - selectedMessages.length;
+        logger('info', `${action.title} confirmed by ${interaction.user.tag}. Starting on ${selectedMessages.length} messages (${excludedCount} excluded)`);
+        await postModLog(ctx.guild, operationId, `${preview.action.type}Confirmed`, [
+          `Confirmed by <@${interaction.user.id}> (${interaction.user.tag})`,
+          preview.action.type === 'delete' ?
+            `Deleting ${selectedMessages.length} of ${matchingMessages.length} matching messages (${excludedCount} excluded)` :
+            `${describeActionChoice({ ...preview.action, followUp: null })}: ${selectedMessages.length} of ${matchingMessages.length} matching messages (${excludedCount} excluded)`,
+          ...(protectedText ? [`Kept by safety rules: ${protectedText}`] : []),
+          ...(dupes ? [`Duplicate groups: ${duplicateGroups.length}${preview.duplicates.keepFirst ? ', keeping the first copy of each' : ''}`] : []),
+          ...(overThreshold ? [confirmation === interaction ? `Above the confirm threshold, approved by <@${preview.approvedBy}>` : 'Above the confirm threshold, count typed in'] : []),
+          ...(followUp ? [`Follow-up: ${followUp.label.replace(/^Also /, '')} (${followUpUserIds.length} users)`] : [])
+        ]);
+        
+        // Archive everything before a single message is removed - a failed archive blocks the operation
+        let archive = null;
+        if (parsed.archive && action.removesMessages) {
+          activeOperations.get(operationId).type = 'archiving';
+          try {
+            archive = writeOperationArchive(operationId, selectedMessages, {
+              query: searchDescription,
+              requestedBy: interaction.user.tag
+            });
+          } catch (error) {
+            logger('error', `Failed to archive messages for operation ${operationId}, deletion cancelled`, error);
+            activeOperations.delete(operationId);
+            await postModLog(ctx.guild, operationId, 'failed', [`Could not archive the matched messages, so nothing was deleted: ${error.message}`]);
+            
+            try {
+              await confirmation.update({
+                content: `Could not archive the matched messages, so nothing was deleted: ${error.message}\nFix the problem or run the search again with --no-archive.`,
+                embeds: [],
+                components: []
+              });
+            } catch (updateError) {
+              logger('error', 'Failed to update interaction', updateError);
+            }
+            collector.stop();
+            return;
+          }
+        }
+        
+        // The archive is kept so an abort can link it
+        activeOperations.get(operationId).archive = archive;
+        
+        // Initial acknowledgement for the interaction
+        try {
+          await confirmation.update({ 
+            content: `${action.title} started! You can track progress in the new message below.`, 
+            embeds: [], 
+            components: [] 
+          });
+        } catch (error) {
+          logger('error', 'Failed to update interaction', error);
+          // We can still continue with the process regardless
+        }
+        
+        // Persist the pending deletion so it survives a restart, then delete
+        const startDeletion = async messagesToDelete => {
+          activeOperations.get(operationId).type = 'deleting';
+          persistOperation(operationId, {
+            guildId: ctx.guild.id,
+            channelId: ctx.channel.id,
+            userId: ctx.user.id,
+            confirmedBy: interaction.user.id,
+            searchContent: searchDescription,
+            startTime: activeOperations.get(operationId).startTime,
+            status: 'running',
+            pending: groupMessageIdsByChannel(messagesToDelete),
+            deleted: 0,
+            skipped: 0,
+            total: messagesToDelete.length,
+            archive
+          });
+          await runDeletion(ctx.channel, operationId, messagesToDelete);
+        };
+        
+        // The follow-up runs alongside the deletion, so the raiders are stopped right away
+        const followUpRun = followUp ? runFollowUpAction(ctx.channel, operationId, preview.action.followUp, followUpUserIds, interaction.user) : null;
+        const reason = `seekndelete operation ${operationId}, confirmed by ${interaction.user.tag}`;
+        
+        if (preview.action.type === 'quarantine') {
+          // Only messages that made it to the quarantine channel are deleted, in their original order
+          let reposted = null;
+          try {
+            const webhook = await getBotWebhook(quarantineChannel, QUARANTINE_WEBHOOK_NAME);
+            reposted = await runOperationAction(ctx.channel, operationId, 'quarantine', selectedMessages.slice().sort((a, b) => a.createdTimestamp - b.createdTimestamp), {
+              unit: 'messages',
+              getBucket: () => `webhook:${webhook.id}`,
+              task: msg => webhook.send(buildQuarantinePost(msg)),
+              skippedNote: '(they could not be reposted, so they are not deleted)'
+            });
+          } catch (error) {
+            logger('error', `Failed to set up the quarantine webhook for operation ${operationId}`, error);
+            activeOperations.delete(operationId);
+            await postModLog(ctx.guild, operationId, 'failed', [`Could not set up the quarantine webhook in <#${quarantineChannel.id}>, so nothing was deleted: ${error.message}`]);
+            await ctx.channel.send(`Could not set up the quarantine webhook in <#${quarantineChannel.id}>, so nothing was deleted: ${error.message}`).catch(sendError => logger('error', 'Failed to send quarantine error', sendError));
+          }
+          
+          if (reposted) {
+            await postModLog(ctx.guild, operationId, 'quarantined', [
+              `Reposted ${reposted.length} of ${selectedMessages.length} messages in <#${quarantineChannel.id}>`,
+              `Skipped: ${selectedMessages.length - reposted.length} (not deleted)`
+            ]);
+            if (reposted.length > 0) {
+              await startDeletion(reposted);
+            } else {
+              activeOperations.delete(operationId);
+            }
+          }
+        } else if (preview.action.type === 'timeout' || preview.action.type === 'flag') {
+          // These leave the messages alone, so there is nothing to archive or resume after a restart
+          const timeout = preview.action.type === 'timeout';
+          const items = timeout ? getFollowUpUserIds(selectedMessages) : selectedMessages;
+          const applied = await runOperationAction(ctx.channel, operationId, preview.action.type, items, timeout ? {
+            unit: 'authors',
+            getBucket: () => `members:${ctx.guild.id}`,
+            task: userId => applyMemberAction(ctx.guild, 'timeout', userId, reason, preview.action.timeoutMs),
+            skippedNote: '(staff, left the server or out of the bot\'s reach)'
+          } : {
+            unit: 'messages',
+            getBucket: msg => `${preview.action.flag}:${msg.channel.id}`,
+            task: msg => flagMessage(msg, preview.action.flag, reason),
+            skippedNote: preview.action.flag === 'thread' ? '(in threads or forum posts, already with a thread, or failed)' : '(failed)'
+          });
+          
+          if (applied) {
+            activeOperations.delete(operationId);
+            await postModLog(ctx.guild, operationId, 'completed', [
+              describeActionChoice(preview.action),
+              `${action.done}: ${applied.length} of ${items.length} ${timeout ? 'authors' : 'messages'}`,
+              `Skipped: ${items.length - applied.length}`
+            ]);
+          }
+        } else {
+          await startDeletion(selectedMessages);
+        }
+        if (followUpRun) await followUpRun;
+        
+        collector.stop();
+      }
+    };
+    
+    // Collector events aren't awaited by anyone, so a failure is logged and ends the operation instead of the process
+    collector.on('collect', async interaction => {
+      try {
+        await handleConfirmationInteraction(interaction);
+      } catch (error) {
+        logger('error', `Error while handling the confirmation of operation ${operationId}`, error);
+        activeOperations.delete(operationId);
+        collector.stop();
+        await postModLog(ctx.guild, operationId, 'failed', [`Error: ${error.message}`]);
+      }
+    });
+    
+    collector.on('end', (collected, reason) => {
+      // Check if operation still exists
+      if (!activeOperations.has(operationId)) {
+        return;
+      }
+      
+      if (reason === 'time') {
+        logger('info', `Confirmation timed out after ${confirmTimeout} seconds`);
+        // Remove operation from active operations
+        activeOperations.delete(operationId);
+        postModLog(ctx.guild, operationId, `${preview.action.type}Cancelled`, [`Confirmation timed out after ${confirmTimeout} seconds, nothing was deleted.`]);
+        
+        confirmationMessage.edit({ content: 'Confirmation timed out.', embeds: [], components: [] })
+          .catch(error => logger('error', 'Failed to edit confirmation message after timeout', error));
+      }
+    });
+    
+  } catch (error) {
+    logger('error', `Error while processing command`, error);
+    // Make sure to clean up the operation on error
+    activeOperations.delete(operationId);
+    await postModLog(ctx.guild, operationId, 'failed', [`Error: ${error.message}`]);
+    
+    try {
+      await ctx.reply(error instanceof SearchPatternError ? error.message : 'An error occurred while processing your command.');
+    } catch (replyError) {
+      logger('error', 'Failed to send error reply', replyError);
+    }
+  }
+}
+
+// Persisted state of confirmed deletions, so they survive a restart
+// { [operationId]: { guildId, channelId, userId, confirmedBy, searchContent, startTime, status, pending: { [channelId]: [messageIds] }, deleted, skipped, total, archive } }
+// status is 'running' while deleting, or 'paused' after a graceful shutdown
+const persistedOperations = loadDataFile('operations.json', {});
+
+// How long a shutdown waits for the running batches to finish and checkpoint
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+// Helper function to persist (or update) a confirmed operation
+function persistOperation(operationId, record) {
+  persistedOperations[operationId] = record;
+  saveDataFile('operations.json', persistedOperations);
+}
+
+// Helper function to forget a finished, aborted or discarded operation
+function removePersistedOperation(operationId) {
+  if (!persistedOperations[operationId]) return;
+  delete persistedOperations[operationId];
+  saveDataFile('operations.json', persistedOperations);
+}
+
+// Helper function to group message IDs per channel for the persisted pending list
+function groupMessageIdsByChannel(messages) {
+  const pending = {};
+  for (const msg of messages) {
+    if (!pending[msg.channel.id]) pending[msg.channel.id] = [];
+    pending[msg.channel.id].push(msg.id);
+  }
+  return pending;
+}
+
+// Record that a batch of messages was processed, so a resumed operation doesn't start over
+function checkpointOperation(operationId, channelId, messageIds, deleted, skipped) {
+  const record = persistedOperations[operationId];
+  if (!record || !record.pending[channelId]) return;
+  
+  const processed = new Set(messageIds);
+  record.pending[channelId] = record.pending[channelId].filter(id => !processed.has(id));
+  if (record.pending[channelId].length === 0) delete record.pending[channelId];
+  record.deleted += deleted;
+  record.skipped += skipped;
+  
+  // Keep the live progress exact for status and ETA
+  const operation = activeOperations.get(operationId);
+  if (operation) operation.progress = { ...operation.progress, deleted: record.deleted, skipped: record.skipped, total: record.total };
+  
+  saveDataFile('operations.json', persistedOperations);
+}
+
+// Helper function to stand in for a message that is only known by ID
+// This is all the deletion code needs: the channel, the age (for bulk deletion) and a way to delete it
+function createPendingMessage(channel, messageId) {
+  return {
+    id: messageId,
+    channel,
+    createdTimestamp: SnowflakeUtil.timestampFrom(messageId),
+    delete: () => channel.messages.delete(messageId)
+  };
+}
+
+// Helper function to build the progress embed of a running deletion
+function buildProgressEmbed(operationId, operation) {
+  const { deleted, skipped, total, rate } = operation.progress;
+  const prefix = getGuildSetting(operation.guildId, 'prefix');
+  const eta = estimateOperationEta(operation);
+  const progressText = `Progress: ${deleted + skipped}/${total} messages processed\nDeleted: ${deleted}\nSkipped: ${skipped}` +
+    (eta !== null ? `\nSpeed: ${rate.toFixed(1)} messages/s, ${formatEta(eta)} left` : '');
+  
+  if (operation.hold) {
+    return {
+      color: 0x95A5A6,
+      title: 'Deletion paused',
+      description: `${progressText}\n\nTo continue, use command: ${prefix} resume ${operationId}\nTo cancel this operation, use command: ${prefix} abort ${operationId}`
+    };
+  }
+  
+  return {
+    color: 0xFFD700,
+    title: 'Deletion in progress',
+    description: `${progressText}\n\nTo cancel this operation, use command: ${prefix} abort ${operationId}`
+  };
+}
+
+// Delete the messages of a persisted operation, reporting progress in the given channel
+// Used both right after confirmation and when an unfinished operation is resumed
+async function runDeletion(channel, operationId, messages) {
+  const operation = activeOperations.get(operationId);
+  const record = persistedOperations[operationId];
+  const { archive, total } = record;
+  // Messages processed before a restart still count towards the totals
+  const previousDeleted = record.deleted;
+  const previousSkipped = record.skipped;
+  
+  // Create a separate progress message instead of using the interaction
+  // This avoids the "Invalid Webhook Token" error when the operation takes too long
+  const progressMessage = await channel.send({
+    embeds: [{
+      color: 0xFFD700,
+      title: 'Deletion in progress',
+      description: `Starting deletion of ${messages.length} messages...\n\nTo cancel this operation, use command: ${getGuildSetting(channel.guild.id, 'prefix')} abort ${operationId}`
+    }]
+  });
+  
+  // Store progress message in operation data
+  operation.progressMessageId = progressMessage.id;
+  operation.progressMessage = progressMessage;
+  operation.progress = { deleted: previousDeleted, skipped: previousSkipped, total, rate: null };
+  
+  // Progress callback to update the status message - rate is the scheduler's recent throughput in messages per second
+  const updateProgress = async (deleted, skipped, channelTotal, rate) => {
+    // Check if operation still exists
+    if (!activeOperations.has(operationId)) {
+      return;
+    }
+    operation.progress = { deleted: previousDeleted + deleted, skipped: previousSkipped + skipped, total, rate };
+    
+    try {
+      // Try to update the progress message
+      await progressMessage.edit({ embeds: [buildProgressEmbed(operationId, operation)] });
+    } catch (error) {
+      // Just log the error but continue with the deletion
+      logger('error', 'Failed to update progress message', error);
+    }
+  };
+  
+  // Use optimized bulk deletion - a shutdown waits for this promise
+  const startTime = Date.now();
+  operation.deletion = deleteMessagesAcrossChannels(messages, updateProgress, operationId);
+  const result = await operation.deletion;
+  const deleteDuration = (Date.now() - startTime) / 1000;
+  deletionScheduler.forget(operationId);
+  const deletedCount = previousDeleted + result.deletedCount;
+  const skippedCount = previousSkipped + result.skippedCount;
+  
+  // Remove operation from active operations
+  activeOperations.delete(operationId);
+  
+  // A shutdown paused the operation - keep it persisted so it resumes after the restart
+  if (result.aborted && operation.paused) {
+    logger('info', `Deletion operation ${operationId} was paused after deleting ${deletedCount} messages`);
+    try {
+      await progressMessage.edit({
+        embeds: [{
+          color: 0xFFD700,
+          title: 'Deletion Paused',
+          description: `The bot is restarting, the deletion continues when it is back.\n\nProgress so far:\nDeleted: ${deletedCount}\nSkipped: ${skippedCount}\nRemaining: ${total - deletedCount - skippedCount}`
+        }]
+      });
+    } catch (error) {
+      logger('error', 'Failed to update pause message', error);
+    }
+    return;
+  }
+  
+  removePersistedOperation(operationId);
+  
+  if (result.aborted) {
+    logger('info', `Deletion operation ${operationId} was manually aborted after deleting ${deletedCount} messages`);
+    
+    // Send aborted message
+    const abortedEmbed = {
+      color: 0xFF0000,
+      title: 'Deletion Aborted',
+      description: `The operation was manually aborted.\n\nProgress before abort:\nDeleted: ${deletedCount}\nSkipped: ${skippedCount}${describeArchive(archive)}`
+    };
+    
+    try {
+      await progressMessage.edit({ embeds: [abortedEmbed], files: getArchiveFiles(archive) });
+    } catch (error) {
+      logger('error', 'Failed to update abort message', error);
+      try {
+        await channel.send({
+          embeds: [abortedEmbed],
+          content: '(Previous message update failed)'
+        });
+      } catch (secondError) {
+        logger('error', 'Failed to send abort message', secondError);
+      }
+    }
+  } else {
+    logger('info', `Deletion complete in ${deleteDuration.toFixed(2)}s. Deleted: ${deletedCount}, Skipped: ${skippedCount}`);
+    
+    // Send completion message by updating the progress message
+    const completionEmbed = {
+      color: 0x00ff00,
+      title: 'Deletion Complete',
+      description: `Successfully deleted ${deletedCount} messages in ${deleteDuration.toFixed(1)}s`
+    };
+    
+    if (skippedCount > 0) {
+      completionEmbed.description += `\nSkipped: ${skippedCount} messages`;
+    }
+    
+    completionEmbed.description += describeArchive(archive);
+    
+    await postModLog(channel.guild, operationId, 'completed', [
+      `Deleted: ${deletedCount}`,
+      `Skipped: ${skippedCount}`,
+      `Duration: ${deleteDuration.toFixed(1)}s`
+    ], archive);
+    
+    try {
+      await progressMessage.edit({ embeds: [completionEmbed], files: getArchiveFiles(archive) });
+    } catch (error) {
+      logger('error', 'Failed to update completion message', error);
+      // Try to send a new message as a last resort
+      try {
+        await channel.send({
+          embeds: [completionEmbed],
+          content: '(Previous message update failed)'
+        });
+      } catch (secondError) {
+        logger('error', 'Failed to send completion message', secondError);
+      }
+    }
+  }
+}
+
+// Helper function to build the progress embed of a running quarantine, timeout or flag action
+function buildActionProgressEmbed(operationId, operation) {
+  const { action, unit, done, skipped, total } = operation.actionProgress;
+  return {
+    color: 0xFFD700,
+    title: `${OPERATION_ACTIONS[action].title} in progress`,
+    description: `Progress: ${done + skipped}/${total} ${unit} processed\n${OPERATION_ACTIONS[action].done}: ${done}\nSkipped: ${skipped}\n\nTo cancel this operation, use command: ${getGuildSetting(operation.guildId, 'prefix')} abort ${operationId}`
+  };
+}
+
+// Flag a match for review with a reaction, or with a thread started on it - returns false if the message can't get one
+async function flagMessage(message, style, reason) {
+  if (style === 'reaction') {
+    await message.react(FLAG_REACTION);
+    return true;
+  }
+  
+  // Threads can only be started on messages in text and announcement channels, and only once
+  if (message.hasThread || ![ChannelType.GuildText, ChannelType.GuildAnnouncement].includes(message.channel.type)) return false;
+  await message.startThread({ name: truncateText(`Review: ${message.author.tag || message.author.username}`, 100), reason });
+  return true;
+}
+
+// Apply a quarantine, timeout or flag action to each item through the deletion scheduler, reporting progress in the given channel
+// The task returns false for items it has to skip, and aborting the operation stops the requests that haven't started.
+// Resolves with the items the action was applied to, or null if the operation was aborted
+async function runOperationAction(channel, operationId, actionType, items, { unit, getBucket, task, skippedNote }) {
+  const action = OPERATION_ACTIONS[actionType];
+  const operation = activeOperations.get(operationId);
+  operation.type = action.phase;
+  operation.actionProgress = { action: actionType, unit, done: 0, skipped: 0, total: items.length };
+  
+  const progressMessage = await channel.send({ embeds: [buildActionProgressEmbed(operationId, operation)] });
+  operation.progressMessage = progressMessage;
+  
+  const startTime = Date.now();
+  const applied = [];
+  let aborted = false;
+  let lastProgressTime = startTime;
+  
+  await Promise.all(items.map(async item => {
+    const outcome = await deletionScheduler.schedule(operationId, channel.guild.id, getBucket(item), 1, () => task(item));
+    if (outcome.aborted) {
+      aborted = true;
+      return;
+    }
+    
+    if (outcome.success && outcome.result !== false) {
+      applied.push(item);
+      operation.actionProgress.done++;
+    } else {
+      if (!outcome.success) logger('error', `Failed to apply action "${actionType}" for operation ${operationId}`, outcome.error);
+      operation.actionProgress.skipped++;
+    }
+    
+    // Report every few seconds
+    if (Date.now() - lastProgressTime >= 5000 && activeOperations.has(operationId)) {
+      lastProgressTime = Date.now();
+      try {
+        await progressMessage.edit({ embeds: [buildActionProgressEmbed(operationId, operation)] });
+      } catch (error) {
+        logger('error', 'Failed to update progress message', error);
+      }
+    }
+  }));
+  deletionScheduler.forget(operationId);
+  
+  const { done, skipped, total } = operation.actionProgress;
+  const duration = (Date.now() - startTime) / 1000;
+  logger('info', `Action "${actionType}" of operation ${operationId} ${aborted ? 'was aborted' : 'finished'} in ${duration.toFixed(2)}s. ${action.done}: ${done}, Skipped: ${skipped}`);
+  
+  const resultEmbed = aborted ? {
+    color: 0xFF0000,
+    title: `${action.title} Aborted`,
+    description: `The operation was aborted.\n\nProgress before abort:\n${action.done}: ${done}\nSkipped: ${skipped}`
+  } : {
+    color: 0x00ff00,
+    title: `${action.title} Complete`,
+    description: `${action.done} ${done} of ${total} ${unit} in ${duration.toFixed(1)}s` + (skipped > 0 ? `\nSkipped: ${skipped} ${skippedNote}` : '')
+  };
+  
+  try {
+    await progressMessage.edit({ embeds: [resultEmbed] });
+  } catch (error) {
+    logger('error', 'Failed to update progress message', error);
+  }
+  
+  return aborted ? null : applied;
+}
+
+// Resume a persisted operation - the pending messages are deleted by ID, since the originals are gone after a restart
+async function resumeOperation(operationId) {
+  const record = persistedOperations[operationId];
+  const channel = await client.channels.fetch(record.channelId);
+  
+  // Channels that disappeared in the meantime count as skipped
+  const messages = [];
+  for (const [channelId, messageIds] of Object.entries(record.pending)) {
+    let messageChannel = null;
+    try {
+      messageChannel = await client.channels.fetch(channelId);
+    } catch (error) {
+      logger('warn', `Channel ${channelId} of operation ${operationId} is no longer available`, error);
+    }
+    
+    if (messageChannel) {
+      messages.push(...messageIds.map(id => createPendingMessage(messageChannel, id)));
+    } else {
+      record.skipped += messageIds.length;
+      delete record.pending[channelId];
+    }
+  }
+  
+  activeOperations.set(operationId, {
+    guildId: record.guildId,
+    channelId: record.channelId,
+    channelIds: Object.keys(record.pending),
+    userId: record.userId,
+    startTime: record.startTime,
+    type: 'deleting',
+    messages: messages.length,
+    archive: record.archive,
+    details: {
+      searchContent: record.searchContent
+    }
+  });
+  
+  record.status = 'running';
+  persistOperation(operationId, record);
+  
+  logger('info', `Resuming operation ${operationId} with ${messages.length} pending messages`);
+  await postModLog(channel.guild, operationId, 'resumed', [
+    `Resumed after a restart with ${messages.length} of ${record.total} messages left`,
+    `Matching: ${record.searchContent}`
+  ]);
+  
+  // The persisted record stays if the deletion fails, so the next restart offers it again
+  try {
+    await runDeletion(channel, operationId, messages);
+  } finally {
+    activeOperations.delete(operationId);
+  }
+}
+
+// Check for operations that didn't finish before the last shutdown
+// Paused operations resume on their own; after a crash an admin decides in the original channel
+async function recoverPersistedOperations() {
+  for (const [operationId, record] of Object.entries(persistedOperations)) {
+    try {
+      // Resumed deletions run side by side, so none of them holds up the others or the prompts below
+      if (record.status === 'paused') {
+        resumeOperation(operationId).catch(error => logger('error', `Failed to resume operation ${operationId}`, error));
+        continue;
+      }
+      
+      const channel = await client.channels.fetch(record.channelId);
+      const remaining = record.total - record.deleted - record.skipped;
+      await channel.send({
+        embeds: [{
+          color: 0xFFD700,
+          title: 'Unfinished Deletion',
+          description: `The bot stopped while deleting messages matching ${record.searchContent}.\n\nDeleted: ${record.deleted}\nSkipped: ${record.skipped}\nRemaining: ${remaining}\n\nOperation ID: ${operationId}`
+        }],
+        components: [{
+          type: 1,
+          components: [
+            {
+              type: 2,
+              style: 3, // SUCCESS (green)
+              label: 'Resume',
+              custom_id: `resume_operation:${operationId}`
+            },
+            {
+              type: 2,
+              style: 4, // DANGER (red)
+              label: 'Discard',
+              custom_id: `discard_operation:${operationId}`
+            }
+          ]
+        }]
+      });
+      logger('info', `Asked to resume or discard unfinished operation ${operationId} (${remaining} messages left)`);
+    } catch (error) {
+      logger('error', `Failed to recover operation ${operationId}`, error);
+    }
+  }
+}
+
+// Unfinished operations a resume/discard click is working on - claimed before the first await, so a second click can't act on them too
+const claimedRecoveries = new Set();
+
+// Handle the resume/discard buttons of an unfinished operation
+async function handleRecoveryButton(interaction) {
+  const [action, operationId] = interaction.customId.split(':');
+  const resume = action === 'resume_operation';
+  
+  const access = requireAccess(interaction.member, interaction.user, resume ? 'delete' : 'abort');
+  if (!access.allowed) {
+    return interaction.reply({ content: `You don't have permission to ${resume ? 'delete' : 'abort'} with seekndelete (${access.rule}).`, ephemeral: true });
+  }
+  
+  if (!persistedOperations[operationId] || activeOperations.has(operationId) || claimedRecoveries.has(operationId)) {
+    return interaction.update({ content: 'This operation was already resumed or discarded.', embeds: [], components: [] });
+  }
+  claimedRecoveries.add(operationId);
+  
+  // Released once the click is handled - a resume that failed can then be tried again
+  try {
+    if (!resume) {
+      const record = persistedOperations[operationId];
+      removePersistedOperation(operationId);
+      logger('info', `Unfinished operation ${operationId} discarded by ${interaction.user.tag}`);
+      await postModLog(interaction.guild, operationId, 'aborted', [
+        `Discarded after a restart by <@${interaction.user.id}> (${interaction.user.tag})`,
+        `Progress at that point: ${record.deleted + record.skipped}/${record.total} messages processed (deleted: ${record.deleted}, skipped: ${record.skipped})`
+      ], record.archive);
+      return interaction.update({ content: 'Discarded the unfinished deletion.', embeds: [], components: [] });
+    }
+    
+    logger('info', `Unfinished operation ${operationId} resumed by ${interaction.user.tag}`);
+    await interaction.update({ content: 'Resuming the deletion, you can track progress in the new message below.', embeds: [], components: [] });
+    await resumeOperation(operationId);
+  } finally {
+    claimedRecoveries.delete(operationId);
+  }
+}
+
+// Pause the running deletions on shutdown instead of dying mid-batch
+// Every batch checkpoints when it finishes, so the pending lists are exact once they stop
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger('info', `Received ${signal}, pausing running operations`);
+  
+  const deletions = [];
+  for (const [operationId, operation] of activeOperations.entries()) {
+    if (persistedOperations[operationId]) {
+      operation.paused = true;
+      // Deletions paused by a member stay paused, the others resume after the restart
+      if (!operation.hold) persistedOperations[operationId].status = 'paused';
+      if (operation.deletion) deletions.push(operation.deletion);
+    }
+    activeOperations.delete(operationId);
+  }
+  saveDataFile('operations.json', persistedOperations);
+  
+  await Promise.race([Promise.allSettled(deletions), sleep(SHUTDOWN_TIMEOUT_MS)]);
+  logger('info', `Paused ${deletions.length} running ${deletions.length === 1 ? 'operation' : 'operations'}, shutting down`);
+  
+  client.destroy();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Create a command context for a prefix command message
+// The search/abort/status handlers only talk to this interface, so both command styles share one code path
+function createMessageContext(message) {
+  return {
+    guild: message.guild,
+    channel: message.channel,
+    user: message.author,
+    member: message.member,
+    // Shown in usage hints
+    prefix: getGuildSetting(message.guild.id, 'prefix'),
+    // Short answers (errors, no results) are replies to the command
+    reply: payload => message.reply(payload),
+    // Status messages that get edited or deleted later
+    send: payload => message.channel.send(payload)
+  };
+}
+
+// Create a command context for a slash command interaction
+// Replies are ephemeral: the first one fills the deferred reply, later ones are follow-ups
+// Once a long search has used up most of the interaction token's lifetime, replies go to the channel instead
+function createInteractionContext(interaction) {
+  let initialReplyUsed = false;
+  
+  const respond = async payload => {
+    const options = typeof payload === 'string' ? { content: payload } : payload;
+    
+    if (Date.now() - interaction.createdTimestamp > INTERACTION_REPLY_WINDOW_MS) {
+      return interaction.channel.send({ ...options, content: `<@${interaction.user.id}> ${options.content || ''}`.trim(), allowedMentions: { users: [interaction.user.id] } });
+    }
+    
+    if (!initialReplyUsed) {
+      initialReplyUsed = true;
+      const sent = await interaction.editReply(options);
+      return createInteractionMessageHandle(interaction, sent, '@original');
+    }
+    
+    const sent = await interaction.followUp({ ...options, ephemeral: true });
+    return createInteractionMessageHandle(interaction, sent, sent);
+  };
+  
+  return {
+    guild: interaction.guild,
+    channel: interaction.channel,
+    user: interaction.user,
+    member: interaction.member,
+    prefix: getGuildSetting(interaction.guildId, 'prefix'),
+    reply: respond,
+    send: respond
+  };
+}
+
+// Ephemeral messages can only be edited or deleted through the interaction webhook
+function createInteractionMessageHandle(interaction, message, reference) {
+  return {
+    id: message.id,
+    edit: payload => interaction.editReply({ ...(typeof payload === 'string' ? { content: payload } : payload), message: reference }),
+    delete: () => interaction.deleteReply(reference),
+    createMessageComponentCollector: options => message.createMessageComponentCollector(options)
+  };
+}
+
+// Helper function to find an active operation of this guild by its ID
+function findGuildOperation(guildId, operationId) {
+  const operation = activeOperations.get(operationId);
+  return operation && operation.guildId === guildId ? operation : null;
+}
+
+// Abort a single operation and record who did it
+async function abortOperation(ctx, operationId) {
+  const operation = activeOperations.get(operationId);
+  if (operation.type === 'watching') {
+    return endWatchRule(operationId, `it was aborted by <@${ctx.user.id}> (${ctx.user.tag})`);
+  }
+  
+  activeOperations.delete(operationId);
+  
+  await postModLog(ctx.guild, operationId, 'aborted', [
+    `Aborted by <@${ctx.user.id}> (${ctx.user.tag})`,
+    `Progress at that point: ${describeOperationProgress(operation)}`
+  ], operation.archive);
+}
+
+// Handle the abort command - cancels one operation of this guild by ID, or every operation started from or running in this channel
+async function handleAbortCommand(ctx, operationId = '') {
+  if (operationId) {
+    if (!findGuildOperation(ctx.guild.id, operationId)) {
+      return ctx.reply(`There is no active operation \`${operationId}\` in this server. Use ${ctx.prefix} status to list them.`);
+    }
+    
+    logger('info', `Aborting operation ${operationId}`, { user: ctx.user.tag });
+    await abortOperation(ctx, operationId);
+    return ctx.reply(`Aborted operation \`${operationId}\`.`);
+  }
+  
+  const channelId = ctx.channel.id;
+  
+  // Find operations for this channel
+  const operationsToAbort = [];
+  for (const [opId, operation] of activeOperations.entries()) {
+    if (operation.channelId === channelId || (operation.channelIds && operation.channelIds.includes(channelId))) {
+      operationsToAbort.push(opId);
+    }
+  }
+  
+  if (operationsToAbort.length === 0) {
+    logger('info', `No active operations to abort in channel ${channelId}`);
+    return ctx.reply('There are no active deletion operations in this channel to abort.');
+  }
+  
+  // Abort all operations for this channel
+  logger('info', `Aborting ${operationsToAbort.length} operations in channel ${channelId}`);
+  for (const opId of operationsToAbort) {
+    await abortOperation(ctx, opId);
+  }
+  
+  return ctx.reply(`Aborted ${operationsToAbort.length} active deletion ${operationsToAbort.length === 1 ? 'operation' : 'operations'} in this channel.`);
+}
+
+// Handle the pause and resume commands - holds a running deletion between batches, or lets it continue
+async function handlePauseCommand(ctx, operationId, pause) {
+  const command = pause ? 'pause' : 'resume';
+  if (!operationId) {
+    return ctx.reply(`Usage: ${ctx.prefix} ${command} <operationId> - use ${ctx.prefix} status to list the operations.`);
+  }
+  
+  const operation = findGuildOperation(ctx.guild.id, operationId);
+  if (!operation) {
+    return ctx.reply(`There is no active operation \`${operationId}\` in this server. Use ${ctx.prefix} status to list them.`);
+  }
+  
+  if (operation.type !== 'deleting') {
+    return ctx.reply(`Only running deletions can be paused or resumed, operation \`${operationId}\` is ${operation.type}.`);
+  }
+  
+  if (pause === !!operation.hold) {
+    return ctx.reply(`Operation \`${operationId}\` is already ${pause ? 'paused' : 'running'}.`);
+  }
+  
+  // The deletion scheduler doesn't start requests for held operations; the ones already running finish
+  operation.hold = pause ? { since: Date.now(), by: ctx.user.id } : null;
+  
+  // A held deletion stays held after a restart until someone decides
+  if (persistedOperations[operationId]) {
+    persistedOperations[operationId].status = pause ? 'held' : 'running';
+    saveDataFile('operations.json', persistedOperations);
+  }
+  
+  logger('info', `Operation ${operationId} ${pause ? 'paused' : 'resumed'} by ${ctx.user.tag}`);
+  await postModLog(ctx.guild, operationId, pause ? 'paused' : 'resumed', [
+    `${pause ? 'Paused' : 'Resumed'} by <@${ctx.user.id}> (${ctx.user.tag})`,
+    `Progress at that point: ${describeOperationProgress(operation)}`
+  ]);
+  
+  if (operation.progressMessage) {
+    try {
+      await operation.progressMessage.edit({ embeds: [buildProgressEmbed(operationId, operation)] });
+    } catch (error) {
+      logger('error', 'Failed to update progress message', error);
+    }
+  }
+  
+  return ctx.reply(pause ?
+    `Paused operation \`${operationId}\` after its current batch. Use ${ctx.prefix} resume ${operationId} to continue.` :
+    `Resumed operation \`${operationId}\`.`);
+}
+
+// Helper function to estimate when a running deletion finishes, from the throughput the scheduler last reported
+function estimateOperationEta(operation) {
+  if (operation.type !== 'deleting' || operation.hold || !operation.progress || !operation.progress.rate) return null;
+  
+  const { deleted, skipped, total, rate } = operation.progress;
+  return Math.round((total - deleted - skipped) / rate * 1000);
+}
+
+// Helper function to format a time estimate
+function formatEta(eta) {
+  return eta < 60000 ? 'under a minute' : formatMaxAge(eta);
+}
+
+// Helper function to summarize an operation for the status list
+function describeOperationStatus(operationId, operation) {
+  const phase = operation.hold ? 'paused' : operation.type;
+  const progress = operation.type === 'searching' && operation.searchProgress ?
+    `${operation.searchProgress.channels}/${operation.searchProgress.totalChannels} channels searched, ${operation.searchProgress.matches} matches` :
+    describeOperationProgress(operation);
+  const eta = estimateOperationEta(operation);
+  const etaText = eta === null ? '' : `, ${operation.progress.rate.toFixed(1)} messages/s, ETA ${formatEta(eta)}`;
+  
+  return `\`${operationId}\` **${phase}** - ${progress}${etaText}\n` +
+    `Started by <@${operation.userId}> at ${formatDate(operation.startTime)} in <#${operation.channelId}>` +
+    (operation.details && operation.details.searchContent ? `, matching ${operation.details.searchContent}` : '');
+}
+
+// Handle the status command - lists the active operations of this guild, or one of them
+async function handleStatusCommand(ctx, operationId = '') {
+  const operations = Array.from(activeOperations.entries())
+    .filter(([opId, operation]) => operation.guildId === ctx.guild.id && (!operationId || opId === operationId));
+  
+  if (operations.length === 0) {
+    return ctx.reply(operationId ?
+      `There is no active operation \`${operationId}\` in this server.` :
+      'There are no active operations in this server.');
+  }
+  
+  return ctx.reply({
+    embeds: [{
+      color: 0xFFD700,
+      title: `Active operations (${operations.length})`,
+      description: truncateText(operations.map(([opId, operation]) => describeOperationStatus(opId, operation)).join('\n\n'), 4000),
+      footer: { text: `Use ${ctx.prefix} abort|pause|resume <operationId> to manage an operation.` }
+    }],
+    allowedMentions: { parse: [] }
+  });
+}
+
+// Helper function to read the archived messages of an operation, oldest first - returns null if it has no archive
+function readOperationArchive(operationId) {
+  const jsonlPath = path.join(archiveDir, `${operationId}.jsonl`);
+  if (!/^[\w-]+$/.test(operationId) || !fs.existsSync(jsonlPath)) return null;
+  
+  return fs.readFileSync(jsonlPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line))
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+// Helper function to parse the filter of the restore command: authors (@user, user:<id>, webhook:<name|id>)
+// and message IDs or links. Throws a QueryParseError for anything else
+function parseRestoreFilter(input) {
+  const filter = { userIds: [], webhooks: [], messageIds: [] };
+  const tokens = input.match(/webhook:"[^"]*"|\S+/gi) || [];
+  
+  for (const token of tokens) {
+    const linkMatch = token.match(/^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/channels\/\d+\/\d+\/(\d+)$/);
+    if (linkMatch || /^\d{17,20}$/.test(token)) {
+      filter.messageIds.push(linkMatch ? linkMatch[1] : token);
+      continue;
+    }
+    
+    const selector = parseAuthorSelector(token);
+    if (!selector || selector.kind === 'role') {
+      throw new QueryParseError(`"${token}" is not an author or a message - use @users, user:<id>, webhook:<name>, message IDs or message links`);
+    }
+    if (selector.kind === 'user') {
+      filter.userIds.push(selector.value);
+    } else {
+      filter.webhooks.push(selector.value.toLowerCase());
+    }
+  }
+  return filter;
+}
+
+// Helper function to check whether an archived message is picked by the restore filter
+// Authors and message IDs are alternatives, an empty filter picks everything
+function matchesRestoreFilter(filter, record) {
+  if (filter.userIds.length === 0 && filter.webhooks.length === 0 && filter.messageIds.length === 0) return true;
+  
+  const { author } = record;
+  return filter.messageIds.includes(record.id) ||
+    (!author.webhookId && filter.userIds.includes(author.id)) ||
+    (!!author.webhookId && (filter.webhooks.includes(author.webhookId) || filter.webhooks.includes(author.username.toLowerCase())));
+}
+
+// Helper function to build the repost of an archived message, under the original author's name and avatar
+// The last line gives the original time, and attachments are linked (Discord expires their URLs after a while)
+function buildRestorePost(record) {
+  const replyText = record.reference ?
+    ` in reply to https://discord.com/channels/${record.reference.guildId || record.guildId}/${record.reference.channelId}/${record.reference.messageId}` : '';
+  const origin = `-# Restored, originally posted <t:${Math.floor(Date.parse(record.createdAt) / 1000)}:f>${record.editedAt ? ' (edited)' : ''}${replyText}`;
+  const body = [record.content, ...record.attachments.map(attachment => attachment.url)].filter(Boolean).join('\n');
+  
+  return {
+    username: truncateText(record.author.displayName || record.author.username, 80),
+    avatarURL: record.author.avatarURL,
+    content: `${body ? `${truncateText(body, 1990 - origin.length)}\n` : ''}${origin}`,
+    // Link previews come back on their own from the links in the content
+    embeds: record.embeds.filter(embed => !embed.type || embed.type === 'rich').slice(0, 10),
+    allowedMentions: { parse: [] }
+  };
+}
+
+// Helper function to find where archived messages of a channel can be reposted: a webhook of the channel, or of the
+// parent for threads and forum posts. Returns null if the channel is gone or the bot can't manage its webhooks
+async function resolveRestoreTarget(guild, channelId) {
+  const channel = await guild.channels.fetch(channelId).catch(() => null);
+  if (!channel) return null;
+  
+  const webhookChannel = channel.isThread() ? channel.parent : channel;
+  try {
+    const webhook = await getBotWebhook(webhookChannel, RESTORE_WEBHOOK_NAME);
+    return { webhook, threadId: channel.isThread() ? channel.id : null };
+  } catch (error) {
+    logger('warn', `Can't restore messages in #${channel.name}`, error);
+    return null;
+  }
+}
+
+// Handle the restore command - reposts the archived messages of an operation in their original channels and order
+async function handleRestoreCommand(ctx, args) {
+  const access = requireAccess(ctx.member, ctx.user, 'delete');
+  if (!access.allowed) {
+    return ctx.reply(`You don't have permission to delete with seekndelete (${access.rule}).`);
+  }
+  
+  const [sourceId = '', ...filterParts] = args.split(/\s+/);
+  if (!sourceId) {
+    return ctx.reply(`Usage: ${ctx.prefix} restore <operationId> [@users] [user:<id>] [webhook:<name>] [message IDs or links]`);
+  }
+  
+  let filter;
+  try {
+    filter = parseRestoreFilter(filterParts.join(' '));
+  } catch (error) {
+    if (error instanceof QueryParseError) return ctx.reply(`Could not parse the filter: ${error.message}`);
+    throw error;
+  }
+  
+  // Only this server's messages can be restored here
+  const archived = readOperationArchive(sourceId);
+  const guildRecords = archived ? archived.filter(record => record.guildId === ctx.guild.id) : [];
+  if (guildRecords.length === 0) {
+    return ctx.reply(`There is no archive of operation \`${sourceId}\` in this server.`);
+  }
+  
+  const records = guildRecords.filter(record => matchesRestoreFilter(filter, record));
+  if (records.length === 0) {
+    return ctx.reply(`None of the ${guildRecords.length} archived messages of operation \`${sourceId}\` match the filter.`);
+  }
+  
+  // Restoring the same archive twice at once would post every message twice
+  for (const operation of activeOperations.values()) {
+    if (operation.restoreOf === sourceId) {
+      return ctx.reply(`Operation \`${sourceId}\` is already being restored.`);
+    }
+  }
+  
+  const operationId = createOperationId();
+  const channelIds = Array.from(new Set(records.map(record => record.channelId)));
+  activeOperations.set(operationId, {
+    guildId: ctx.guild.id,
+    channelId: ctx.channel.id,
+    channelIds,
+    userId: ctx.user.id,
+    startTime: Date.now(),
+    type: 'restoring',
+    messages: records.length,
+    restoreOf: sourceId,
+    details: {
+      searchContent: `the archive of operation ${sourceId}`
+    }
+  });
+  
+  // However the restore ends, the archive can be restored again afterwards
+  try {
+    logger('info', `Restoring ${records.length} messages of operation ${sourceId}`, { operationId, user: ctx.user.tag });
+    await postModLog(ctx.guild, operationId, 'started', [
+      `Restore started by <@${ctx.user.id}> (${ctx.user.tag}) in <#${ctx.channel.id}>`,
+      `Restoring ${records.length} of ${guildRecords.length} archived messages of operation ${sourceId}`,
+      ...(filterParts.length ? [`Filter: ${filterParts.join(' ')}`] : [])
+    ]);
+    await ctx.reply(`Restoring ${records.length} messages of operation \`${sourceId}\`. You can track progress in the new message below.`);
+    
+    // Messages whose channel is gone or out of the bot's reach are skipped
+    const targets = new Map();
+    for (const channelId of channelIds) {
+      targets.set(channelId, await resolveRestoreTarget(ctx.guild, channelId));
+    }
+    
+    const restored = await runOperationAction(ctx.channel, operationId, 'restore', records, {
+      unit: 'messages',
+      getBucket: record => targets.get(record.channelId) ? `webhook:${targets.get(record.channelId).webhook.id}` : `restore:${record.channelId}`,
+      task: async record => {
+        const target = targets.get(record.channelId);
+        if (!target) return false;
+        await target.webhook.send({ ...buildRestorePost(record), ...(target.threadId ? { threadId: target.threadId } : {}) });
+        return true;
+      },
+      skippedNote: '(their channel is gone, the bot can\'t manage its webhooks there, or the repost failed)'
+    });
+    
+    if (restored) {
+      await postModLog(ctx.guild, operationId, 'completed', [
+        `Restored: ${restored.length} of ${records.length} messages of operation ${sourceId}`,
+        `Skipped: ${records.length - restored.length}`
+      ]);
+    }
+  } finally {
+    activeOperations.delete(operationId);
+  }
+}
+
+// Watch rules - live rules that delete new matching messages as they arrive
+const DEFAULT_WATCH_DURATION_MS = 60 * 60 * 1000;
+const MAX_WATCH_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_WATCH_RULES_PER_GUILD = 10;
+
+// Persisted watch rules, so they keep running after a restart:
+// { [ruleId]: { guildId, channelId, userId, args, scope: { guild, channelIds }, searchContent, scopeDescription, startTime, expiresAt, limit, deleted, skipped } }
+// Live rules are also registered in activeOperations (type 'watching'), so status, abort and the deletion scheduler treat them like any other operation
+const watchRules = loadDataFile('watch-rules.json', {});
+
+// Helper function to check whether a channel is covered by a watch rule's scope
+// Scope IDs can be channels, categories or forum channels; threads count as part of their parent
+function isInWatchScope(scope, channel) {
+  if (scope.guild) return true;
+  
+  const ids = [channel.id, channel.parentId];
+  if (channel.isThread() && channel.parent) ids.push(channel.parent.parentId);
+  return ids.some(id => id && scope.channelIds.includes(id));
+}
+
+// Watch rules archive each message right before deleting it, the HTML transcript is rendered when the rule ends
+function appendToWatchArchive(operationId, message) {
+  if (!fs.existsSync(archiveDir)) {
+    fs.mkdirSync(archiveDir);
+  }
+  
+  const record = serializeMessageForArchive(message);
+  fs.appendFileSync(path.join(archiveDir, `${operationId}.jsonl`), JSON.stringify(record) + '\n', { encoding: 'utf8' });
+}
+
+// Helper function to render the transcript of a finished watch rule - returns null if nothing was archived
+function finishWatchArchive(operationId, meta) {
+  const jsonlPath = path.join(archiveDir, `${operationId}.jsonl`);
+  if (!fs.existsSync(jsonlPath)) return null;
+  
+  const records = fs.readFileSync(jsonlPath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const htmlPath = path.join(archiveDir, `${operationId}.html`);
+  fs.writeFileSync(htmlPath, renderArchiveHtml(operationId, records, meta), { encoding: 'utf8' });
+  
+  logger('info', `Archived ${records.length} messages for watch rule ${operationId}`, { jsonlPath, htmlPath });
+  return { jsonlPath, htmlPath, count: records.length };
+}
+
+// Register a watch rule as an active operation and set its expiry timer
+function armWatchRule(operationId, record, parsed) {
+  const operation = {
+    guildId: record.guildId,
+    channelId: record.channelId,
+    userId: record.userId,
+    startTime: record.startTime,
+    type: 'watching',
+    details: {
+      searchContent: record.searchContent,
+      authors: describeAuthors(parsed.authors),
+      scope: record.scopeDescription
+    },
+    watch: {
+      record,
+      query: parsed.query,
+      authors: parsed.authors,
+      safety: parsed.safety,
+      archive: parsed.archive,
+      inFlight: 0,
+      timer: setTimeout(() => endWatchRule(operationId, 'it expired'), Math.max(0, record.expiresAt - Date.now()))
+    }
+  };
+  
+  activeOperations.set(operationId, operation);
+  return operation;
+}
+
+// Stop a watch rule and post its summary to the channel it was started from and the mod log
+async function endWatchRule(operationId, reason) {
+  const operation = activeOperations.get(operationId);
+  const record = watchRules[operationId];
+  if (!operation || operation.type !== 'watching' || !record) return;
+  
+  clearTimeout(operation.watch.timer);
+  activeOperations.delete(operationId);
+  deletionScheduler.forget(operationId);
+  delete watchRules[operationId];
+  saveDataFile('watch-rules.json', watchRules);
+  
+  let archive = null;
+  try {
+    archive = finishWatchArchive(operationId, { query: record.searchContent, requestedBy: record.userTag || record.userId });
+  } catch (error) {
+    logger('error', `Failed to write the transcript of watch rule ${operationId}`, error);
+  }
+  
+  const lines = [
+    `Watch rule for ${record.searchContent} ${record.scopeDescription} ended because ${reason}.`,
+    `Started by <@${record.userId}> at ${formatDate(record.startTime)}, ran for ${formatMaxAge(Date.now() - record.startTime) || 'under a minute'}`,
+    `Deleted: ${record.deleted}`,
+    `Skipped: ${record.skipped}`
+  ];
+  logger('info', `Watch rule ${operationId} ended because ${reason}`, { deleted: record.deleted, skipped: record.skipped });
+  
+  const guild = client.guilds.cache.get(record.guildId);
+  if (!guild) return;
+  
+  try {
+    const channel = guild.channels.cache.get(record.channelId) || await guild.channels.fetch(record.channelId);
+    await channel.send({
+      embeds: [{
+        color: 0x00ff00,
+        title: 'Watch Rule Ended',
+        description: lines.join('\n') + describeArchive(archive),
+        footer: { text: `Rule ID: ${operationId}` }
+      }],
+      files: getArchiveFiles(archive),
+      allowedMentions: { parse: [] }
+    });
+  } catch (error) {
+    logger('error', `Failed to post the summary of watch rule ${operationId}`, error);
+  }
+  
+  await postModLog(guild, operationId, 'watchEnded', lines, archive);
+}
+
+// Check a new message against the watch rules of its guild and delete it if one matches
+async function applyWatchRules(message) {
+  // Commands are never deleted, so a watch rule can't swallow the command that stops it
+  if (!message.author.bot && message.content.startsWith(getGuildSetting(message.guild.id, 'prefix'))) return;
+  
+  for (const [operationId, operation] of activeOperations.entries()) {
+    if (operation.type !== 'watching' || operation.guildId !== message.guild.id) continue;
+    
+    const watch = operation.watch;
+    const record = watch.record;
+    if (!isInWatchScope(record.scope, message.channel)) continue;
+    if (!matchesAuthors(watch.authors, message)) continue;
+    
+    let matches;
+    try {
+      matches = evaluateQuery(watch.query, message);
+    } catch (err) {
+      if (!(err instanceof SearchPatternError)) throw err;
+      logger('warn', `Watch rule ${operationId} could not check message ${message.id}: ${err.message}`);
+      continue;
+    }
+    if (!matches) continue;
+    
+    // Protected authors stay unless the rule was started with --include-protected
+    if (getProtectionRule(resolveProtection(message.guild.id, watch.safety), message)) continue;
+    
+    // Leave the rest to the next rule once the limit is used up by deletions still in flight
+    if (record.limit && record.deleted + watch.inFlight >= record.limit) continue;
+    
+    if (watch.archive) {
+      try {
+        appendToWatchArchive(operationId, message);
+      } catch (error) {
+        logger('error', `Failed to archive message ${message.id} for watch rule ${operationId}, not deleting it`, error);
+        record.skipped++;
+        saveDataFile('watch-rules.json', watchRules);
+        return;
+      }
+    }
+    
+    watch.inFlight++;
+    const outcome = await deletionScheduler.schedule(operationId, message.guild.id, `delete:${message.channel.id}`, 1, () => message.delete());
+    watch.inFlight--;
+    if (outcome.aborted) return;
+    
+    if (outcome.success) {
+      record.deleted++;
+      logger('debug', `Watch rule ${operationId} deleted message ${message.id} in #${message.channel.name}`);
+    } else {
+      record.skipped++;
+      logger('error', `Watch rule ${operationId} failed to delete message ${message.id}`, outcome.error);
+    }
+    saveDataFile('watch-rules.json', watchRules);
+    
+    if (record.limit && record.deleted >= record.limit) {
+      await endWatchRule(operationId, `it reached its limit of ${record.limit} messages`);
+    }
+    return;
+  }
+}
+
+// Re-arm the persisted watch rules after a restart - rules that expired while the bot was down end right away
+async function restoreWatchRules() {
+  for (const [operationId, record] of Object.entries(watchRules)) {
+    try {
+      if (!client.guilds.cache.has(record.guildId)) {
+        logger('warn', `Dropping watch rule ${operationId}, the bot is no longer in guild ${record.guildId}`);
+        delete watchRules[operationId];
+        continue;
+      }
+      
+      armWatchRule(operationId, record, parseSearchArgs(record.args, getGuildConfig(record.guildId)));
+      logger('info', `Restored watch rule ${operationId}, ends ${formatDate(record.expiresAt)}`);
+    } catch (error) {
+      logger('error', `Failed to restore watch rule ${operationId}`, error);
+      delete watchRules[operationId];
+    }
+  }
+  saveDataFile('watch-rules.json', watchRules);
+}
+
+// Helper function to resolve the scope of a new watch rule into channel and category IDs
+// Unlike a search, the channels aren't listed up front - new threads and channels in a category are covered too
+function resolveWatchScope(ctx, scope) {
+  if (scope.guild) return { scope: { guild: true, channelIds: [] }, description: 'in the whole server' };
+  
+  const channelIds = [];
+  for (const channelId of scope.channelIds) {
+    if (!ctx.guild.channels.cache.has(channelId)) {
+      throw new QueryParseError(`Channel <#${channelId}> was not found in this server`);
+    }
+    channelIds.push(channelId);
+  }
+  
+  for (const category of scope.categories) {
+    const channel = ctx.guild.channels.cache.find(c => c.type === ChannelType.GuildCategory &&
+      (c.id === category.value || c.name.toLowerCase() === category.value.toLowerCase()));
+    if (!channel) {
+      throw new QueryParseError(`Category "${category.value}" was not found in this server`, category.token);
+    }
+    channelIds.push(channel.id);
+  }
+  
+  if (channelIds.length === 0) channelIds.push(ctx.channel.id);
+  return { scope: { guild: false, channelIds }, description: `in ${channelIds.map(id => `<#${id}>`).join(', ')}` };
+}
+
+// Helper function to summarize a watch rule for the watch list
+function describeWatchRule(operationId, record) {
+  return `\`${operationId}\` ${record.searchContent} ${record.scopeDescription}\n` +
+    `Started by <@${record.userId}>, ends ${formatDate(record.expiresAt)} - deleted: ${record.deleted}, skipped: ${record.skipped}` +
+    (record.limit ? ` (limit ${record.limit})` : '');
+}
+
+// Handle the watch command - live rules that delete new messages matching a query for a while
+// Format: watch <query> [duration] | watch list | watch stop <ruleId|all>
+async function handleWatchCommand(ctx, args) {
+  const subcommand = args.split(/\s+/)[0].toLowerCase();
+  const action = subcommand === 'stop' ? 'abort' : (subcommand === 'list' || !args ? 'search' : 'delete');
+  const access = requireAccess(ctx.member, ctx.user, action);
+  if (!access.allowed) {
+    return ctx.reply(`You don't have permission to ${action} with seekndelete (${access.rule}).`);
+  }
+  
+  const guildRules = Object.entries(watchRules).filter(([, record]) => record.guildId === ctx.guild.id);
+  
+  if (subcommand === 'list' || !args) {
+    if (guildRules.length === 0) {
+      return ctx.reply(`There are no watch rules in this server. Use ${ctx.prefix} watch "<query>" [duration] to add one.`);
+    }
+    
+    return ctx.reply({
+      embeds: [{
+        color: 0xFFD700,
+        title: `Watch rules (${guildRules.length})`,
+        description: truncateText(guildRules.map(([operationId, record]) => describeWatchRule(operationId, record)).join('\n\n'), 4000),
+        footer: { text: `Use ${ctx.prefix} watch stop <ruleId|all> to remove a rule.` }
+      }],
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  if (subcommand === 'stop') {
+    const ruleId = args.substring('stop'.length).trim();
+    if (!ruleId) {
+      return ctx.reply(`Usage: ${ctx.prefix} watch stop <ruleId|all> - use ${ctx.prefix} watch list to list the rules.`);
     }
     
-    logger('error', `Error fetching messages: ${err.message}`);
-    // Add a small delay before retrying to avoid rate limits
-    await sleep(1000);
-    return await channel.messages.fetch(options);
+    const toStop = ruleId === 'all' ? guildRules.map(([operationId]) => operationId) :
+      guildRules.filter(([operationId]) => operationId === ruleId).map(([operationId]) => operationId);
+    if (toStop.length === 0) {
+      return ctx.reply(ruleId === 'all' ?
+        'There are no watch rules in this server.' :
+        `There is no watch rule \`${ruleId}\` in this server. Use ${ctx.prefix} watch list to list them.`);
+    }
+    
+    for (const operationId of toStop) {
+      await endWatchRule(operationId, `it was stopped by <@${ctx.user.id}> (${ctx.user.tag})`);
+    }
+    return ctx.reply(toStop.length === 1 ? `Stopped watch rule \`${toStop[0]}\`.` : `Stopped ${toStop.length} watch rules.`);
+  }
+  
+  if (guildRules.length >= MAX_WATCH_RULES_PER_GUILD) {
+    return ctx.reply(`This server already has ${MAX_WATCH_RULES_PER_GUILD} watch rules. Stop one with ${ctx.prefix} watch stop <ruleId> first.`);
+  }
+  
+  let parsed;
+  let watchScope;
+  try {
+    parsed = parseSearchArgs(args, getGuildConfig(ctx.guild.id));
+    if (parsed.bounds.after || parsed.bounds.before || parsed.bounds.around || parsed.minAgeMs) {
+      throw new QueryParseError('after:, before:, around: and older: don\'t apply to watch rules - give a duration instead, e.g. 2h');
+    }
+    if (parsed.dryRun) {
+      throw new QueryParseError(`Watch rules always delete - use ${ctx.prefix} report to preview matches`);
+    }
+    watchScope = resolveWatchScope(ctx, parsed.scope);
+  } catch (err) {
+    if (err instanceof QueryParseError) {
+      logger('warn', `Invalid watch rule - ${err.message}`);
+      return ctx.reply(`Could not parse your watch rule: ${formatQueryParseError(err, args)}`);
+    }
+    throw err;
+  }
+  
+  // The max age slot of the search syntax is the duration here
+  const duration = parsed.maxAgeMs || DEFAULT_WATCH_DURATION_MS;
+  if (duration > MAX_WATCH_DURATION_MS) {
+    return ctx.reply(`Watch rules can run for at most ${formatMaxAge(MAX_WATCH_DURATION_MS)}.`);
+  }
+  
+  // A rule can't delete more than its creator could confirm in one operation
+  const limits = [getGuildSetting(ctx.guild.id, 'max-messages'), getDeleteCap(ctx.member)].filter(limit => limit !== null);
+  const limit = limits.length > 0 ? Math.min(...limits) : null;
+  
+  const searchContent = queryHasTerms(parsed.query) ?
+    `${describeQuery(parsed.query)} (${describeMatchOptions(parsed.matchOptions)})` :
+    describeQuery(parsed.query);
+  const operationId = createOperationId();
+  const record = {
+    guildId: ctx.guild.id,
+    channelId: ctx.channel.id,
+    userId: ctx.user.id,
+    userTag: ctx.user.tag,
+    args,
+    scope: watchScope.scope,
+    searchContent,
+    scopeDescription: watchScope.description,
+    startTime: Date.now(),
+    expiresAt: Date.now() + duration,
+    limit,
+    deleted: 0,
+    skipped: 0
+  };
+  
+  watchRules[operationId] = record;
+  saveDataFile('watch-rules.json', watchRules);
+  armWatchRule(operationId, record, parsed);
+  
+  logger('info', `Watch rule ${operationId} added by ${ctx.user.tag}`, { args, duration, limit });
+  await postModLog(ctx.guild, operationId, 'watchStarted', [
+    `Watch rule added by <@${ctx.user.id}> (${ctx.user.tag}) in <#${ctx.channel.id}>`,
+    `Matching: ${searchContent}`,
+    `From: ${describeAuthors(parsed.authors)}`,
+    `Scope: ${watchScope.description}`,
+    `Runs for: ${formatMaxAge(duration)}${limit ? `, at most ${limit} messages` : ''}`
+  ]);
+  
+  return ctx.reply({
+    content: `Watching for new messages matching ${searchContent} from ${describeAuthors(parsed.authors)} ${watchScope.description} for ${formatMaxAge(duration)}` +
+      `${limit ? ` (at most ${limit} messages)` : ''}. Matches are deleted right away.\n` +
+      `Rule ID: \`${operationId}\` - use ${ctx.prefix} watch stop ${operationId} to end it early.`,
+    allowedMentions: { parse: [] }
+  });
+}
+
+// Retention schedules - recurring purges that run a search and delete the matches without confirmation
+const MIN_SCHEDULE_INTERVAL_MS = 10 * 60 * 1000;
+const MAX_SCHEDULE_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_SCHEDULES_PER_GUILD = 10;
+const DEFAULT_SCHEDULE_MAX_MESSAGES = 1000; // Safety cap per run when max-messages and the creator's cap don't set a lower one
+
+// Persisted schedules: { [scheduleId]: { guildId, channelId, userId, userTag, interval, args, searchContent, scopeDescription, limit, paused, createdAt, nextRun, lastRun } }
+// A run that matches more than the limit deletes nothing and pauses its schedule, so a bad query can't empty a channel
+const schedules = loadDataFile('schedules.json', {});
+// Timers of the armed schedules, and the schedules with a run in progress
+const scheduleTimers = new Map();
+const runningSchedules = new Set();
+
+// Set the timer for the next run of a schedule - overdue runs (e.g. after a restart) start right away
+function armSchedule(scheduleId) {
+  clearTimeout(scheduleTimers.get(scheduleId));
+  scheduleTimers.delete(scheduleId);
+  
+  const schedule = schedules[scheduleId];
+  if (!schedule || schedule.paused) return;
+  
+  scheduleTimers.set(scheduleId, setTimeout(() => {
+    runSchedule(scheduleId).catch(error => logger('error', `Failed to record the failed run of scheduled purge ${scheduleId}`, error));
+  }, Math.max(0, schedule.nextRun - Date.now())));
+}
+
+// Helper function to record how a scheduled run ended
+function recordScheduleRun(scheduleId, lastRun) {
+  if (!schedules[scheduleId]) return;
+  schedules[scheduleId].lastRun = { time: Date.now(), ...lastRun };
+  saveDataFile('schedules.json', schedules);
+}
+
+// Run a schedule once and arm its next run
+async function runSchedule(scheduleId) {
+  scheduleTimers.delete(scheduleId);
+  const schedule = schedules[scheduleId];
+  if (!schedule || schedule.paused) return;
+  
+  // A failed save or run is recorded, and the next run stays armed either way
+  try {
+    // The next run is due one interval after this one started, however long this one takes
+    schedule.nextRun = Date.now() + schedule.interval;
+    armSchedule(scheduleId);
+    saveDataFile('schedules.json', schedules);
+    
+    if (runningSchedules.has(scheduleId)) {
+      logger('warn', `Scheduled purge ${scheduleId} is still running, skipping this run`);
+      return;
+    }
+    
+    runningSchedules.add(scheduleId);
+    try {
+      await runScheduledPurge(scheduleId, schedule);
+    } finally {
+      runningSchedules.delete(scheduleId);
+    }
+  } catch (error) {
+    logger('error', `Scheduled purge ${scheduleId} failed`, error);
+    recordScheduleRun(scheduleId, { result: 'failed', error: error.message });
+    const guild = client.guilds.cache.get(schedule.guildId);
+    if (guild) {
+      await postModLog(guild, scheduleId, 'failed', [`Scheduled purge \`${scheduleId}\` failed: ${error.message}`]);
+    }
+  }
+}
+
+// Search and delete for one scheduled run - it's a regular operation, so status, abort and pause work on it
+async function runScheduledPurge(scheduleId, schedule) {
+  const guild = client.guilds.cache.get(schedule.guildId);
+  if (!guild) {
+    logger('warn', `Skipping scheduled purge ${scheduleId}, the bot is no longer in guild ${schedule.guildId}`);
+    return;
+  }
+  
+  const channel = guild.channels.cache.get(schedule.channelId) || await guild.channels.fetch(schedule.channelId);
+  const parsed = parseSearchArgs(schedule.args, getGuildConfig(guild.id), { allowEmptyQuery: true });
+  const searchScope = await resolveSearchChannels({ guild, channel }, parsed.scope);
+  const bounds = resolveSearchBounds(parsed.maxAgeMs, parsed.bounds, parsed.minAgeMs);
+  
+  const operationId = createOperationId();
+  const startTime = Date.now();
+  const operation = {
+    guildId: guild.id,
+    channelId: channel.id,
+    channelIds: searchScope.channels.map(searchChannel => searchChannel.id),
+    userId: schedule.userId,
+    startTime,
+    type: 'searching',
+    scheduleId,
+    details: {
+      searchContent: `${schedule.searchContent} (schedule ${scheduleId})`,
+      authors: describeAuthors(parsed.authors),
+      maxAge: parsed.maxAgeMs ? formatMaxAge(parsed.maxAgeMs) : 'No limit',
+      window: bounds.description || 'No limit',
+      scope: schedule.scopeDescription
+    }
+  };
+  activeOperations.set(operationId, operation);
+  // However the run ends, it doesn't stay behind in the status list
+  try {
+    logger('info', `Scheduled purge ${scheduleId} started as operation ${operationId}`, { args: schedule.args });
+    
+    const search = await findMatchingMessages(operationId, searchScope.channels, bounds, parsed.query, parsed.authors, resolveProtection(guild.id, parsed.safety));
+    if (search.aborted || !activeOperations.has(operationId)) {
+      recordScheduleRun(scheduleId, { operationId, result: 'aborted', matched: search.matchingMessages.length, deleted: 0, skipped: 0 });
+      return;
+    }
+    
+    const messages = search.matchingMessages;
+    const maxMessages = getGuildSetting(guild.id, 'max-messages');
+    const limit = maxMessages !== null ? Math.min(schedule.limit, maxMessages) : schedule.limit;
+    const protectedText = describeProtectedCounts(search.protectedCounts);
+    const runLines = [
+      `Scheduled purge \`${scheduleId}\` (every ${formatMaxAge(schedule.interval)}) set up by <@${schedule.userId}>`,
+      `Purging ${schedule.searchContent} ${schedule.scopeDescription}${bounds.description ? ` (${bounds.description})` : ''}`,
+      ...(protectedText ? [`Kept by safety rules: ${protectedText}`] : [])
+    ];
+    
+    if (messages.length > limit) {
+      schedule.paused = true;
+      armSchedule(scheduleId);
+      recordScheduleRun(scheduleId, { operationId, result: 'over limit', matched: messages.length, deleted: 0, skipped: 0 });
+      logger('warn', `Scheduled purge ${scheduleId} matched ${messages.length} messages, more than its limit of ${limit} - paused it`);
+      await postModLog(guild, operationId, 'failed', [
+        ...runLines,
+        `Matched ${messages.length} messages, more than the limit of ${limit} per run, so nothing was deleted and the schedule was paused.`,
+        `Check the query, then use ${getGuildSetting(guild.id, 'prefix')} schedule resume ${scheduleId} to continue.`
+      ]);
+      return;
+    }
+    
+    // Archive everything before a single message is deleted - a failed archive blocks the run
+    let archive = null;
+    if (parsed.archive && messages.length > 0) {
+      operation.type = 'archiving';
+      try {
+        archive = writeOperationArchive(operationId, messages, {
+          query: schedule.searchContent,
+          requestedBy: `schedule ${scheduleId} (${schedule.userTag || schedule.userId})`
+        });
+      } catch (error) {
+          recordScheduleRun(scheduleId, { operationId, result: 'failed', error: error.message, matched: messages.length, deleted: 0, skipped: 0 });
+        logger('error', `Failed to archive messages for scheduled purge ${scheduleId}, nothing deleted`, error);
+        await postModLog(guild, operationId, 'failed', [...runLines, `Could not archive the matched messages, so nothing was deleted: ${error.message}`]);
+        return;
+      }
+    }
+    
+    operation.type = 'deleting';
+    operation.archive = archive;
+    operation.progress = { deleted: 0, skipped: 0, total: messages.length, rate: null };
+    
+    const result = await deleteMessagesAcrossChannels(messages, (deleted, skipped, total, rate) => {
+      operation.progress = { deleted, skipped, total, rate };
+    }, operationId);
+    deletionScheduler.forget(operationId);
+    
+    const duration = (Date.now() - startTime) / 1000;
+    recordScheduleRun(scheduleId, {
+      operationId,
+      result: result.aborted ? 'aborted' : 'completed',
+      matched: messages.length,
+      deleted: result.deletedCount,
+      skipped: result.skippedCount
+    });
+    logger('info', `Scheduled purge ${scheduleId} ${result.aborted ? 'was aborted' : 'completed'} in ${duration.toFixed(1)}s`, { deleted: result.deletedCount, skipped: result.skippedCount });
+    
+    // Aborts are already in the mod log, and a run without matches has nothing to report
+    if (result.aborted || messages.length === 0) return;
+    
+    await postModLog(guild, operationId, 'scheduledRun', [
+      ...runLines,
+      `Deleted: ${result.deletedCount}`,
+      `Skipped: ${result.skippedCount}`,
+      `Duration: ${duration.toFixed(1)}s`
+    ], archive);
+  } finally {
+    activeOperations.delete(operationId);
+  }
+}
+
+// Arm the persisted schedules after a restart
+function restoreSchedules() {
+  for (const scheduleId of Object.keys(schedules)) {
+    armSchedule(scheduleId);
+  }
+  logger('info', `Restored ${Object.keys(schedules).length} retention schedules`);
+}
+
+// Helper function to summarize a schedule for the schedule list
+function describeSchedule(scheduleId, schedule) {
+  const state = schedule.paused ? '**paused**' : `next run ${formatDate(schedule.nextRun)}`;
+  const lastRun = schedule.lastRun ?
+    `\nLast run ${formatDate(schedule.lastRun.time)}: ${schedule.lastRun.result}` +
+      (schedule.lastRun.matched !== undefined ? `, deleted ${schedule.lastRun.deleted} of ${schedule.lastRun.matched} matches` : '') :
+    '';
+  return `\`${scheduleId}\` every ${formatMaxAge(schedule.interval)}: ${schedule.searchContent} ${schedule.scopeDescription} - ${state}\n` +
+    `Set up by <@${schedule.userId}>, at most ${schedule.limit} messages per run${lastRun}`;
+}
+
+// Handle the schedule command - recurring purges, e.g. to keep only the last few days of a channel
+// Format: schedule [list] | schedule add [every] <interval> <query> [older:<age>] | schedule remove|pause|resume <scheduleId>
+async function handleScheduleCommand(ctx, args) {
+  const tokens = args.split(/\s+/).filter(Boolean);
+  const subcommand = (tokens[0] || 'list').toLowerCase();
+  const actions = { list: 'search', add: 'delete', remove: 'delete', resume: 'delete', pause: 'abort' };
+  const usage = `Usage: ${ctx.prefix} schedule [list] | schedule add every <interval> <query> [older:<age>] | schedule remove|pause|resume <scheduleId>`;
+  
+  if (!actions[subcommand]) {
+    return ctx.reply(usage);
+  }
+  
+  const access = requireAccess(ctx.member, ctx.user, actions[subcommand]);
+  if (!access.allowed) {
+    return ctx.reply(`You don't have permission to ${actions[subcommand]} with seekndelete (${access.rule}).`);
+  }
+  
+  const guildSchedules = Object.entries(schedules).filter(([, schedule]) => schedule.guildId === ctx.guild.id);
+  
+  if (subcommand === 'list') {
+    if (guildSchedules.length === 0) {
+      return ctx.reply(`There are no retention schedules in this server. Use ${ctx.prefix} schedule add every <interval> <query> [older:<age>] to add one.`);
+    }
+    
+    return ctx.reply({
+      embeds: [{
+        color: 0xFFD700,
+        title: `Retention schedules (${guildSchedules.length})`,
+        description: truncateText(guildSchedules.map(([scheduleId, schedule]) => describeSchedule(scheduleId, schedule)).join('\n\n'), 4000),
+        footer: { text: `Use ${ctx.prefix} schedule remove|pause|resume <scheduleId> to manage a schedule.` }
+      }],
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  if (subcommand !== 'add') {
+    const scheduleId = tokens[1];
+    const schedule = scheduleId && schedules[scheduleId];
+    if (!schedule || schedule.guildId !== ctx.guild.id) {
+      return ctx.reply(scheduleId ?
+        `There is no schedule \`${scheduleId}\` in this server. Use ${ctx.prefix} schedule list to list them.` :
+        usage);
+    }
+    
+    if (subcommand === 'remove') {
+      delete schedules[scheduleId];
+      armSchedule(scheduleId);
+    } else {
+      if (schedule.paused === (subcommand === 'pause')) {
+        return ctx.reply(`Schedule \`${scheduleId}\` is already ${schedule.paused ? 'paused' : 'running'}.`);
+      }
+      schedule.paused = subcommand === 'pause';
+      if (!schedule.paused) schedule.nextRun = Date.now() + schedule.interval;
+      armSchedule(scheduleId);
+    }
+    saveDataFile('schedules.json', schedules);
+    
+    const change = subcommand === 'remove' ? 'removed' : `${subcommand}d`;
+    logger('info', `Schedule ${scheduleId} ${change} by ${ctx.user.tag}`);
+    await postModLog(ctx.guild, scheduleId, 'scheduleChanged', [
+      `Retention schedule ${change} by <@${ctx.user.id}> (${ctx.user.tag})`,
+      `Every ${formatMaxAge(schedule.interval)}: ${schedule.searchContent} ${schedule.scopeDescription}`
+    ]);
+    const replies = {
+      remove: `Removed schedule \`${scheduleId}\`.`,
+      pause: `Paused schedule \`${scheduleId}\`. Use ${ctx.prefix} schedule resume ${scheduleId} to continue.`,
+      resume: `Resumed schedule \`${scheduleId}\`, the next run is at ${formatDate(schedule.nextRun)}.`
+    };
+    return ctx.reply(replies[subcommand]);
+  }
+  
+  if (guildSchedules.length >= MAX_SCHEDULES_PER_GUILD) {
+    return ctx.reply(`This server already has ${MAX_SCHEDULES_PER_GUILD} schedules. Remove one with ${ctx.prefix} schedule remove <scheduleId> first.`);
+  }
+  
+  const addMatch = args.match(/^add\s+(?:every\s+)?(\S+)\s*([\s\S]*)$/i);
+  const interval = addMatch ? parseDuration(addMatch[1]) : null;
+  if (!interval) {
+    return ctx.reply(`${usage}\nThe interval looks like 30m, 12h or 1d.`);
+  }
+  
+  if (interval < MIN_SCHEDULE_INTERVAL_MS || interval > MAX_SCHEDULE_INTERVAL_MS) {
+    return ctx.reply(`Schedules run every ${formatMaxAge(MIN_SCHEDULE_INTERVAL_MS)} at most and every ${formatMaxAge(MAX_SCHEDULE_INTERVAL_MS)} at least.`);
+  }
+  
+  const searchArgs = addMatch[2].trim();
+  let parsed;
+  let searchScope;
+  try {
+    parsed = parseSearchArgs(searchArgs, getGuildConfig(ctx.guild.id), { allowEmptyQuery: true });
+    if (parsed.bounds.after || parsed.bounds.before || parsed.bounds.around) {
+      throw new QueryParseError('after:, before: and around: are fixed dates - use older:<age> and a max age for schedules');
+    }
+    if (parsed.dryRun) {
+      throw new QueryParseError(`Schedules always delete - use ${ctx.prefix} report to preview matches`);
+    }
+    if (parsed.query === MATCH_ALL_QUERY && !parsed.minAgeMs) {
+      throw new QueryParseError('A schedule without a query would empty the channel - add older:<age>, e.g. older:7d');
+    }
+    searchScope = await resolveSearchChannels(ctx, parsed.scope);
+  } catch (err) {
+    if (err instanceof QueryParseError) {
+      logger('warn', `Invalid schedule - ${err.message}`);
+      return ctx.reply(`Could not parse your schedule: ${formatQueryParseError(err, searchArgs)}`);
+    }
+    throw err;
+  }
+  
+  // A run can't delete more than the creator could confirm in one operation
+  const limit = Math.min(...[DEFAULT_SCHEDULE_MAX_MESSAGES, getGuildSetting(ctx.guild.id, 'max-messages'), getDeleteCap(ctx.member)].filter(cap => cap !== null));
+  
+  const scheduleId = createOperationId();
+  const searchContent = parsed.query === MATCH_ALL_QUERY ? 'all messages' : `messages matching ${queryHasTerms(parsed.query) ?
+    `${describeQuery(parsed.query)} (${describeMatchOptions(parsed.matchOptions)})` :
+    describeQuery(parsed.query)}`;
+  const minAgeText = parsed.minAgeMs ? `, older than ${formatMaxAge(parsed.minAgeMs)}` : '';
+  schedules[scheduleId] = {
+    guildId: ctx.guild.id,
+    channelId: ctx.channel.id,
+    userId: ctx.user.id,
+    userTag: ctx.user.tag,
+    interval,
+    args: searchArgs,
+    searchContent: `${searchContent} from ${describeAuthors(parsed.authors)}${minAgeText}`,
+    scopeDescription: searchScope.channels.length === 1 && searchScope.channels[0].id === ctx.channel.id ? `in <#${ctx.channel.id}>` : searchScope.description,
+    limit,
+    paused: false,
+    createdAt: Date.now(),
+    nextRun: Date.now() + interval,
+    lastRun: null
+  };
+  saveDataFile('schedules.json', schedules);
+  armSchedule(scheduleId);
+  
+  const schedule = schedules[scheduleId];
+  logger('info', `Schedule ${scheduleId} added by ${ctx.user.tag}`, { args: searchArgs, interval, limit });
+  await postModLog(ctx.guild, scheduleId, 'scheduleChanged', [
+    `Retention schedule added by <@${ctx.user.id}> (${ctx.user.tag}) in <#${ctx.channel.id}>`,
+    `Every ${formatMaxAge(interval)}: ${schedule.searchContent} ${schedule.scopeDescription}`,
+    `At most ${limit} messages per run`
+  ]);
+  
+  return ctx.reply({
+    content: `Every ${formatMaxAge(interval)}, ${schedule.searchContent} ${schedule.scopeDescription} will be deleted, at most ${limit} per run. ` +
+      `The first run is at ${formatDate(schedule.nextRun)}.\nSchedule ID: \`${scheduleId}\` - use ${ctx.prefix} schedule pause|remove ${scheduleId} to stop it.`,
+    allowedMentions: { parse: [] }
+  });
+}
+
+// Handle the modlog command - shortcut for the mod-log setting
+// Format: modlog [#channel|off]
+async function handleModLogCommand(ctx, args) {
+  if (!args) {
+    const channelId = getGuildSetting(ctx.guild.id, 'mod-log');
+    return ctx.reply(channelId ?
+      `Operations are logged to <#${channelId}>.` :
+      `No mod-log channel is set. Use ${ctx.prefix} modlog #channel to set one.`);
+  }
+  
+  return handleConfigCommand(ctx, `set mod-log ${args}`);
+}
+
+// Handle the config command - shows and changes the settings of this guild
+// Format: config [get [setting]] | config set <setting> <value> | config reset <setting|all>
+async function handleConfigCommand(ctx, args) {
+  const tokens = args.split(/\s+/).filter(Boolean);
+  const subcommand = (tokens.shift() || 'get').toLowerCase();
+  const key = tokens.length > 0 ? tokens.shift().toLowerCase() : null;
+  const value = tokens.join(' ');
+  const guildId = ctx.guild.id;
+  
+  if (key && key !== 'all' && !GUILD_SETTINGS[key]) {
+    return ctx.reply(`Unknown setting "${key}". Settings: ${Object.keys(GUILD_SETTINGS).join(', ')}`);
+  }
+  
+  if (subcommand === 'get') {
+    const overrides = guildConfig[guildId] || {};
+    const keys = key && key !== 'all' ? [key] : Object.keys(GUILD_SETTINGS);
+    const lines = keys.map(settingKey => {
+      const setting = GUILD_SETTINGS[settingKey];
+      const defaultText = settingKey in overrides ? '' : ' (default)';
+      return `**${settingKey}**: ${setting.format(getGuildSetting(guildId, settingKey))}${defaultText}\n${setting.description}`;
+    });
+    
+    return ctx.reply({
+      embeds: [{
+        color: 0xFFD700,
+        title: 'seekndelete settings',
+        description: lines.join('\n\n'),
+        footer: { text: `Change a setting with ${ctx.prefix} config set <setting> <value>` }
+      }],
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  if (subcommand !== 'set' && subcommand !== 'reset') {
+    return ctx.reply(`Usage: ${ctx.prefix} config [get [setting]] | config set <setting> <value> | config reset <setting|all>`);
+  }
+  
+  if (!ctx.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    logger('warn', `User ${ctx.user.tag} attempted to change settings without admin permissions`);
+    return ctx.reply('Only administrators can change settings.');
+  }
+  
+  if (subcommand === 'reset') {
+    if (!key) {
+      return ctx.reply(`Usage: ${ctx.prefix} config reset <setting|all>`);
+    }
+    
+    resetGuildSetting(guildId, key === 'all' ? null : key);
+    logger('info', `Settings reset for guild ${guildId} by ${ctx.user.tag}`, { key });
+    return ctx.reply(key === 'all' ?
+      'All settings are back to their defaults.' :
+      { content: `**${key}** is back to its default: ${GUILD_SETTINGS[key].format(getGuildSetting(guildId, key))}`, allowedMentions: { parse: [] } });
+  }
+  
+  if (!key || key === 'all' || !value) {
+    return ctx.reply(`Usage: ${ctx.prefix} config set <setting> <value>`);
+  }
+  
+  let parsed;
+  try {
+    parsed = setGuildSetting(ctx.guild, key, value);
+  } catch (err) {
+    if (!(err instanceof ConfigValueError)) throw err;
+    return ctx.reply(`Invalid value for **${key}**: ${err.message}`);
+  }
+  
+  logger('info', `Setting ${key} changed for guild ${guildId} by ${ctx.user.tag}`, { value: parsed });
+  return ctx.reply({
+    content: `**${key}** is now ${GUILD_SETTINGS[key].format(parsed)}`,
+    allowedMentions: { parse: [] }
+  });
+}
+
+// Handle the blocklist command - the domains and links matched by the domain:blocklist filter
+// Format: blocklist [list] | blocklist add <pattern>... | blocklist remove <pattern>... | blocklist clear
+async function handleBlocklistCommand(ctx, args) {
+  const tokens = args.split(/[\s,]+/).filter(Boolean);
+  const subcommand = (tokens.shift() || 'list').toLowerCase();
+  const guildId = ctx.guild.id;
+  const entries = domainBlocklists[guildId] || [];
+  
+  if (subcommand === 'list') {
+    return ctx.reply({
+      embeds: [{
+        color: 0xFFD700,
+        title: `Domain blocklist (${entries.length})`,
+        description: entries.length === 0 ?
+          `The blocklist is empty. Add domains with ${ctx.prefix} blocklist add <domain>...` :
+          truncateText(entries.map(entry => `\`${entry}\``).join(', '), 4000),
+        footer: { text: 'Search for every entry at once with the domain:blocklist filter.' }
+      }]
+    });
+  }
+  
+  if (!['add', 'remove', 'clear'].includes(subcommand)) {
+    return ctx.reply(`Usage: ${ctx.prefix} blocklist [list] | blocklist add <domain>... | blocklist remove <domain>... | blocklist clear`);
+  }
+  
+  if (!ctx.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    logger('warn', `User ${ctx.user.tag} attempted to change the domain blocklist without admin permissions`);
+    return ctx.reply('Only administrators can change the domain blocklist.');
+  }
+  
+  if (subcommand === 'clear') {
+    saveBlocklist(guildId, []);
+    logger('info', `Domain blocklist cleared for guild ${guildId} by ${ctx.user.tag}`);
+    return ctx.reply(`Cleared the domain blocklist (${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}).`);
+  }
+  
+  if (tokens.length === 0) {
+    return ctx.reply(`Usage: ${ctx.prefix} blocklist ${subcommand} <domain|*.domain|domain/path>...`);
+  }
+  
+  // Entries are stored normalized, so the scheme, www. and case don't matter when adding or removing
+  const patterns = [];
+  for (const token of tokens) {
+    const pattern = parseLinkPattern(token);
+    if (!pattern) {
+      return ctx.reply(`"${token}" is not a domain or link. Use e.g. example.com, *.example.com or example.com/path.`);
+    }
+    const entry = describeLinkPattern(pattern);
+    if (!patterns.includes(entry)) patterns.push(entry);
+  }
+  
+  if (subcommand === 'add') {
+    const added = patterns.filter(entry => !entries.includes(entry));
+    if (entries.length + added.length > MAX_BLOCKLIST_ENTRIES) {
+      return ctx.reply(`The blocklist can hold at most ${MAX_BLOCKLIST_ENTRIES} entries. Remove some first.`);
+    }
+    
+    saveBlocklist(guildId, [...entries, ...added]);
+    logger('info', `Added ${added.length} entries to the domain blocklist of guild ${guildId}`, { user: ctx.user.tag, added });
+    return ctx.reply(`Added ${added.length} of ${patterns.length} to the domain blocklist (${entries.length + added.length} in total).`);
+  }
+  
+  const remaining = entries.filter(entry => !patterns.includes(entry));
+  saveBlocklist(guildId, remaining);
+  logger('info', `Removed ${entries.length - remaining.length} entries from the domain blocklist of guild ${guildId}`, { user: ctx.user.tag, patterns });
+  return ctx.reply(`Removed ${entries.length - remaining.length} of ${patterns.length} from the domain blocklist (${remaining.length} left).`);
+}
+
+// Actions that access rules grant separately
+const ACCESS_ACTIONS = ['search', 'delete', 'abort'];
+
+// Per-guild access rules: { [guildId]: { search|delete|abort: { roles, permissions }, caps: { [roleId|'default']: maxMessages } } }
+// Without rules only administrators can use the bot. Administrators are never restricted or capped.
+const accessRules = loadDataFile('access-rules.json', {});
+
+// Helper function to get (and optionally create) the access rules of a guild
+function getGuildAccessRules(guildId, create = false) {
+  if (!accessRules[guildId] && create) {
+    accessRules[guildId] = { caps: {} };
+    for (const action of ACCESS_ACTIONS) {
+      accessRules[guildId][action] = { roles: [], permissions: [] };
+    }
+  }
+  return accessRules[guildId] || null;
+}
+
+// Helper function to resolve a permission name (e.g. "ManageMessages" or "manage_messages") to its flag name
+function resolvePermissionName(name) {
+  const normalized = name.replace(/[_\s-]/g, '').toLowerCase();
+  return Object.keys(PermissionFlagsBits).find(flag => flag.toLowerCase() === normalized) || null;
+}
+
+// Helper function to describe the rule for an action
+function describeAccessRule(rules, action) {
+  const rule = rules && rules[action];
+  if (!rule || (rule.roles.length === 0 && rule.permissions.length === 0)) {
+    return 'administrators only';
+  }
+  const parts = rule.roles.map(roleId => `<@&${roleId}>`).concat(rule.permissions);
+  return `administrators or ${parts.join(', ')}`;
+}
+
+// Check whether a member may perform an action
+// Returns { allowed, rule } - the rule that allowed or blocked the member, for logging
+function checkAccess(member, action) {
+  if (member.permissions.has(PermissionFlagsBits.Administrator)) {
+    return { allowed: true, rule: 'Administrator permission' };
+  }
+  
+  const rules = getGuildAccessRules(member.guild.id);
+  const rule = rules && rules[action];
+  
+  if (rule) {
+    const roleId = rule.roles.find(id => member.roles.cache.has(id));
+    if (roleId) return { allowed: true, rule: `${action} allowed for role ${roleId}` };
+    
+    const permission = rule.permissions.find(name => member.permissions.has(PermissionFlagsBits[name]));
+    if (permission) return { allowed: true, rule: `${action} allowed for permission ${permission}` };
+  }
+  
+  return { allowed: false, rule: `${action} is limited to ${describeAccessRule(rules, action).replace(/<@&(\d+)>/g, 'role $1')}` };
+}
+
+// Helper function to check access and log denied attempts with the rule that blocked them
+function requireAccess(member, user, action) {
+  const access = checkAccess(member, action);
+  if (!access.allowed) {
+    logger('warn', `User ${user.tag} was denied "${action}"`, { userId: user.id, guildId: member.guild.id, rule: access.rule });
+  }
+  return access;
+}
+
+// Helper function to get the maximum number of messages a member may delete in one operation (null means no limit)
+// Members get the highest cap among their roles, or the guild's default cap if none of their roles has one
+function getDeleteCap(member) {
+  if (member.permissions.has(PermissionFlagsBits.Administrator)) return null;
+  
+  const rules = getGuildAccessRules(member.guild.id);
+  if (!rules || !rules.caps) return null;
+  
+  const roleCaps = Object.entries(rules.caps)
+    .filter(([roleId]) => roleId !== 'default' && member.roles.cache.has(roleId))
+    .map(([, cap]) => cap);
+  
+  if (roleCaps.length > 0) return Math.max(...roleCaps);
+  return rules.caps.default !== undefined ? rules.caps.default : null;
+}
+
+// Handle the access command - shows or changes who may search, delete and abort
+// Format: access [show] | access allow|revoke <search|delete|abort|all> <@role|Permission>... | access cap <@role|default> <count|none> | access reset
+async function handleAccessCommand(ctx, args) {
+  const tokens = args.split(/\s+/).filter(Boolean);
+  const subcommand = (tokens.shift() || 'show').toLowerCase();
+  const guildId = ctx.guild.id;
+  
+  if (subcommand !== 'show' && !ctx.member.permissions.has(PermissionFlagsBits.Administrator)) {
+    logger('warn', `User ${ctx.user.tag} attempted to change access rules without admin permissions`);
+    return ctx.reply('Only administrators can change access rules.');
+  }
+  
+  if (subcommand === 'show') {
+    const rules = getGuildAccessRules(guildId);
+    const lines = ACCESS_ACTIONS.map(action => `**${action}**: ${describeAccessRule(rules, action)}`);
+    
+    const caps = rules && rules.caps ? Object.entries(rules.caps) : [];
+    lines.push('', '**Deletion caps**: ' + (caps.length === 0 ? 'none' :
+      caps.map(([roleId, cap]) => `${roleId === 'default' ? 'default' : `<@&${roleId}>`}: ${cap}`).join(', ')));
+    
+    return ctx.reply({
+      embeds: [{
+        color: 0xFFD700,
+        title: 'seekndelete access rules',
+        description: lines.join('\n'),
+        footer: { text: 'Administrators can always search, delete and abort without a cap.' }
+      }],
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  if (subcommand === 'reset') {
+    delete accessRules[guildId];
+    saveDataFile('access-rules.json', accessRules);
+    logger('info', `Access rules reset for guild ${guildId} by ${ctx.user.tag}`);
+    return ctx.reply('Access rules reset: only administrators can use seekndelete now.');
+  }
+  
+  if (subcommand === 'allow' || subcommand === 'revoke') {
+    const actionArg = (tokens.shift() || '').toLowerCase();
+    const actions = actionArg === 'all' ? ACCESS_ACTIONS : [actionArg];
+    if (!actions.every(action => ACCESS_ACTIONS.includes(action)) || tokens.length === 0) {
+      return ctx.reply(`Usage: ${ctx.prefix} access ${subcommand} <${ACCESS_ACTIONS.join('|')}|all> <@role|PermissionName>...`);
+    }
+    
+    // Resolve the targets before changing anything
+    const roles = [];
+    const permissions = [];
+    for (const token of tokens) {
+      const roleMatch = token.match(/^<@&(\d+)>$/) || token.match(/^(\d{17,20})$/);
+      const permission = roleMatch ? null : resolvePermissionName(token);
+      if (roleMatch) {
+        roles.push(roleMatch[1]);
+      } else if (permission) {
+        permissions.push(permission);
+      } else {
+        return ctx.reply(`"${token}" is neither a role nor a Discord permission name (e.g. ManageMessages).`);
+      }
+    }
+    
+    const rules = getGuildAccessRules(guildId, true);
+    for (const action of actions) {
+      const rule = rules[action];
+      if (subcommand === 'allow') {
+        rule.roles = Array.from(new Set(rule.roles.concat(roles)));
+        rule.permissions = Array.from(new Set(rule.permissions.concat(permissions)));
+      } else {
+        rule.roles = rule.roles.filter(roleId => !roles.includes(roleId));
+        rule.permissions = rule.permissions.filter(name => !permissions.includes(name));
+      }
+    }
+    
+    saveDataFile('access-rules.json', accessRules);
+    logger('info', `Access rules changed for guild ${guildId} by ${ctx.user.tag}`, { subcommand, actions, roles, permissions });
+    return ctx.reply({
+      content: actions.map(action => `**${action}**: ${describeAccessRule(rules, action)}`).join('\n'),
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  if (subcommand === 'cap') {
+    const target = tokens.shift() || '';
+    const value = (tokens.shift() || '').toLowerCase();
+    const roleMatch = target.match(/^<@&(\d+)>$/) || target.match(/^(\d{17,20})$/);
+    const key = target.toLowerCase() === 'default' ? 'default' : (roleMatch ? roleMatch[1] : null);
+    
+    if (!key || !(value === 'none' || /^\d+$/.test(value))) {
+      return ctx.reply(`Usage: ${ctx.prefix} access cap <@role|default> <max messages|none>`);
+    }
+    
+    const rules = getGuildAccessRules(guildId, true);
+    if (value === 'none') {
+      delete rules.caps[key];
+    } else {
+      rules.caps[key] = parseInt(value, 10);
+    }
+    
+    saveDataFile('access-rules.json', accessRules);
+    logger('info', `Deletion cap changed for guild ${guildId} by ${ctx.user.tag}`, { key, value });
+    return ctx.reply({
+      content: value === 'none' ?
+        `Removed the deletion cap for ${key === 'default' ? 'members without a capped role' : `<@&${key}>`}.` :
+        `${key === 'default' ? 'Members without a capped role' : `<@&${key}>`} can now delete at most ${value} messages per operation.`,
+      allowedMentions: { parse: [] }
+    });
+  }
+  
+  return ctx.reply(`Usage: ${ctx.prefix} access [show|allow|revoke|cap|reset]`);
+}
+
+// Dispatch a command to the right handler after checking permissions
+async function handleCommand(ctx, args) {
+  // Showing the access rules, mod log channel, settings and blocklist is part of searching - changing them is checked by each handler
+  if (/^(access|modlog|config|blocklist)(\s|$)/.test(args)) {
+    const access = requireAccess(ctx.member, ctx.user, 'search');
+    if (!access.allowed) {
+      return ctx.reply(`You don't have permission to search with seekndelete (${access.rule}).`);
+    }
+  }
+  
+  if (args === 'access' || args.startsWith('access ')) {
+    return handleAccessCommand(ctx, args.substring('access'.length).trim());
+  }
+  
+  if (args === 'modlog' || args.startsWith('modlog ')) {
+    return handleModLogCommand(ctx, args.substring('modlog'.length).trim());
+  }
+  
+  if (args === 'config' || args.startsWith('config ')) {
+    return handleConfigCommand(ctx, args.substring('config'.length).trim());
+  }
+  
+  if (args === 'watch' || args.startsWith('watch ')) {
+    return handleWatchCommand(ctx, args.substring('watch'.length).trim());
+  }
+  
+  if (args === 'schedule' || args.startsWith('schedule ')) {
+    return handleScheduleCommand(ctx, args.substring('schedule'.length).trim());
+  }
+  
+  if (args === 'blocklist' || args.startsWith('blocklist ')) {
+    return handleBlocklistCommand(ctx, args.substring('blocklist'.length).trim());
+  }
+  
+  if (args === 'restore' || args.startsWith('restore ')) {
+    return handleRestoreCommand(ctx, args.substring('restore'.length).trim());
+  }
+  
+  // Operation management: abort|pause|resume|status|list [operationId]
+  const management = args.match(/^(abort|pause|resume|status|list)(?:\s+(\S+))?$/);
+  const command = management ? management[1] : null;
+  const operationId = management && management[2] ? management[2] : '';
+  
+  // Aborting and pausing need the abort right, resuming needs the delete right, everything else is part of searching
+  const action = command === 'abort' || command === 'pause' ? 'abort' : (command === 'resume' ? 'delete' : 'search');
+  const access = requireAccess(ctx.member, ctx.user, action);
+  if (!access.allowed) {
+    return ctx.reply(`You don't have permission to ${action} with seekndelete (${access.rule}).`);
+  }
+  
+  if (command === 'abort') {
+    return handleAbortCommand(ctx, operationId);
+  }
+  
+  if (command === 'pause' || command === 'resume') {
+    return handlePauseCommand(ctx, operationId, command === 'pause');
+  }
+  
+  if (command === 'status' || command === 'list') {
+    return handleStatusCommand(ctx, operationId);
+  }
+  
+  if (args === 'report' || args.startsWith('report ')) {
+    return handleSearchCommand(ctx, args.substring('report'.length).trim(), { dryRun: true });
+  }
+  
+  if (args === 'dupes' || args.startsWith('dupes ')) {
+    return handleSearchCommand(ctx, args.substring('dupes'.length).trim(), { dupes: true });
   }
+  
+  return handleSearchCommand(ctx, args);
 }
 
 // Command handler
 client.on('messageCreate', async message => {
+  if (!message.guild) return;
+  
+  // Watch rules also catch bots and webhooks - only our own messages are left alone
+  if (message.author.id !== client.user.id) {
+    try {
+      await applyWatchRules(message);
+    } catch (error) {
+      logger('error', 'Error while applying watch rules', error);
+    }
+  }
+  
   // Ignore messages from bots
   if (message.author.bot) return;
   
-  // Check if the message is a command
-  if (message.content.startsWith('>seekndelete')) {
-    // Check if user has admin permissions
-    if (!message.member.permissions.has('ADMINISTRATOR')) {
-      logger('warn', `User ${message.author.tag} attempted to use command without admin permissions`);
-      return message.reply('You need administrator permissions to use this command.');
+  // Check if the message is a command - each guild can have its own prefix
+  const prefix = getGuildSetting(message.guild.id, 'prefix');
+  if (message.content.startsWith(prefix)) {
+    const args = message.content.substring(prefix.length).trim();
+    try {
+      await handleCommand(createMessageContext(message), args);
+    } catch (error) {
+      logger('error', 'Error while processing command', error);
     }
-    
-    // Check for abort command
-    if (message.content.trim() === '>seekndelete abort') {
-      const channelId = message.channel.id;
-      
-      // Find operations for this channel
-      const operationsToAbort = [];
-      for (const [opId, operation] of activeOperations.entries()) {
-        if (operation.channelId === channelId) {
-          operationsToAbort.push(opId);
-        }
-      }
-      
-      if (operationsToAbort.length === 0) {
-        logger('info', `No active operations to abort in channel ${channelId}`);
-        return message.reply('There are no active deletion operations in this channel to abort.');
-      }
-      
-      // Abort all operations for this channel
-      logger('info', `Aborting ${operationsToAbort.length} operations in channel ${channelId}`);
-      for (const opId of operationsToAbort) {
-        activeOperations.delete(opId);
-      }
-      
-      return message.reply(`Aborted ${operationsToAbort.length} active deletion ${operationsToAbort.length === 1 ? 'operation' : 'operations'} in this channel.`);
+  }
+});
+
+// Slash command handler
+client.on('interactionCreate', async interaction => {
+  // Resume/discard prompts outlive the collector that would normally handle them, so they're handled here
+  if (interaction.isButton() && /^(resume|discard)_operation:/.test(interaction.customId)) {
+    try {
+      await handleRecoveryButton(interaction);
+    } catch (error) {
+      logger('error', 'Error while handling an unfinished operation', error);
     }
+    return;
+  }
+  
+  if (interaction.commandName !== SLASH_COMMAND.name) return;
+  
+  if (interaction.isAutocomplete()) {
+    return handleSavedSearchAutocomplete(interaction);
+  }
+  
+  if (!interaction.isChatInputCommand()) return;
+  
+  try {
+    // Searching can take a while, so acknowledge right away
+    await interaction.deferReply({ ephemeral: true });
     
-    // Handle regular seekndelete command
-    logger('info', `Command received in channel ${message.channel.name}`, {
-      user: message.author.tag,
-      command: message.content
-    });
-    
-    // Parse the command
-    // Expected format: >seekndelete "messagecontent" [@sender] [maxAge]
-    const args = message.content.substring('>seekndelete'.length).trim();
-    
-    // Extract the message content (between quotes)
-    const contentMatch = args.match(/"([^"]*)"/);
-    if (!contentMatch) {
-      logger('warn', `Invalid command format - missing message content in quotes`);
-      return message.reply('Please provide message content in quotes: >seekndelete "message content" [@user] [maxAge]');
-    }
-    const searchContent = contentMatch[1];
+    const ctx = createInteractionContext(interaction);
+    const subcommand = interaction.options.getSubcommand();
     
-    // Check if content is empty
-    if (searchContent.trim() === '') {
-      logger('warn', `Invalid command format - empty message content`);
-      return message.reply('Please provide non-empty message content in quotes: >seekndelete "message content" [@user] [maxAge]');
+    if (subcommand === 'access') {
+      return await handleCommand(ctx, `access ${interaction.options.getString('change') || ''}`.trim());
     }
     
-    // Remove the quoted content from args for further processing
-    let remainingArgs = args.replace(/"([^"]*)"/, '').trim();
-    
-    // Extract the mentioned user if any
-    let targetUserId = null;
-    let searchingAllUsers = false;
-    
-    if (message.mentions.users.size > 1) {
-      logger('warn', `Invalid command format - too many users mentioned`);
-      return message.reply('Please mention only one user or none at all: >seekndelete "message content" [@user] [maxAge]');
-    } else if (message.mentions.users.size === 1) {
-      targetUserId = message.mentions.users.first().id;
-      logger('info', `Searching messages from specific user: ${message.mentions.users.first().tag}`);
-      
-      // Remove the user mention from args
-      const mentionStr = `<@${targetUserId}>`;
-      remainingArgs = remainingArgs.replace(mentionStr, '').trim();
-    } else {
-      searchingAllUsers = true;
-      logger('info', `Searching messages from all users`);
+    if (subcommand === 'blocklist') {
+      return await handleCommand(ctx, `blocklist ${interaction.options.getString('change') || ''}`.trim());
     }
     
-    // Parse the max age parameter (if present)
-    const maxAgeStr = remainingArgs.trim();
-    const maxAgeMs = parseMaxAge(maxAgeStr);
-    
-    // Calculate the cutoff time based on max age
-    let cutoffTime = null;
-    if (maxAgeMs) {
-      cutoffTime = Date.now() - maxAgeMs;
-      logger('info', `Using max age of ${formatMaxAge(maxAgeMs)}, cutoff time: ${new Date(cutoffTime).toISOString()}`);
-    } else {
-      logger('info', `No max age specified, searching without time limit`);
+    if (subcommand === 'config') {
+      const configArgs = [
+        interaction.options.getString('action') || 'get',
+        interaction.options.getString('setting') || '',
+        interaction.options.getString('value') || ''
+      ];
+      return await handleCommand(ctx, `config ${configArgs.join(' ')}`.trim());
     }
     
-    // Create a unique operation ID for this task
-    const operationId = `${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
-    
-    // Register the operation
-    activeOperations.set(operationId, {
-      channelId: message.channel.id,
-      userId: message.author.id,
-      startTime: Date.now(),
-      type: 'search',
-      details: {
-        searchContent,
-        targetUserId,
-        maxAge: maxAgeMs ? formatMaxAge(maxAgeMs) : 'No limit'
+    if (subcommand === 'watch') {
+      const action = interaction.options.getString('action') || 'start';
+      if (action === 'list') {
+        return await handleCommand(ctx, 'watch list');
       }
-    });
-    
-    try {
-      // Inform user that search is in progress
-      const searchingMsg = await message.channel.send(
-        searchingAllUsers ? 
-        `Searching for messages from all users${maxAgeMs ? ' within the last ' + formatMaxAge(maxAgeMs) : ''}, please wait...` : 
-        `Searching for messages from the specified user${maxAgeMs ? ' within the last ' + formatMaxAge(maxAgeMs) : ''}, please wait...`
-      );
-      
-      // Find messages that match the criteria - optimized implementation
-      const matchingMessages = [];
-      let lastId = null;
-      let fetched;
-      let fetchCount = 0;
-      let reachedCutoff = false;
-      let searchingAnimation;
-      let abortedDuringSearch = false;
-      
-      // Create a search progress animation
-      if (MIN_LOG_LEVEL <= LOG_LEVELS.debug) {
-        searchingAnimation = setInterval(async () => {
-          // Check if operation was aborted
-          if (!activeOperations.has(operationId)) {
-            clearInterval(searchingAnimation);
-            return;
-          }
-          
-          try {
-            await searchingMsg.edit(`Searching... Fetched ${fetchCount} message batches, found ${matchingMessages.length} matches so far.`);
-          } catch (error) {
-            logger('error', 'Failed to update search animation', error);
-            clearInterval(searchingAnimation);
-          }
-        }, 3000);
+      if (action === 'stop') {
+        return await handleCommand(ctx, `watch stop ${interaction.options.getString('rule') || ''}`.trim());
       }
       
-      // Configure message fetch size (larger batch size for faster search)
-      const fetchLimit = 100; // Maximum supported by Discord API
-      
-      // Prepare optimized search params
-      const searchTerm = useCaseSensitiveSearch ? searchContent : searchContent.toLowerCase();
-      
-      const startTime = Date.now();
-      
-      // Update operation status
-      activeOperations.get(operationId).type = 'searching';
-      
-      // The main search loop - optimized for speed
+      let watchArgs;
       try {
-        do {
-          // Check if operation was aborted
-          if (!activeOperations.has(operationId)) {
-            logger('info', `Search operation ${operationId} was aborted`);
-            abortedDuringSearch = true;
-            break;
-          }
-          
-          const options = { limit: fetchLimit };
-          if (lastId) {
-            options.before = lastId;
-          }
-          
-          fetchCount++;
-          
-          // Fetch messages with optimized function
-          fetched = await fetchMessages(message.channel, options, operationId);
-          
-          // Check if operation was aborted during fetch
-          if (fetched.aborted) {
-            abortedDuringSearch = true;
-            break;
-          }
-          
-          lastId = fetched.last()?.id;
-          
-          // Check if we've reached the cutoff time
-          if (cutoffTime && fetched.size > 0 && fetched.last().createdTimestamp < cutoffTime) {
-            reachedCutoff = true;
-            logger('debug', `Reached cutoff time in batch ${fetchCount}`);
-          }
-          
-          // Filter messages that match criteria - optimized with early returns
-          for (const [id, msg] of fetched) {
-            // Check if operation was aborted
-            if (!activeOperations.has(operationId)) {
-              logger('info', `Search operation ${operationId} was aborted during message filtering`);
-              abortedDuringSearch = true;
-              break;
-            }
-            
-            // Skip if beyond cutoff time
-            if (cutoffTime && msg.createdTimestamp < cutoffTime) continue;
-            
-            // For webhooks, we need special handling
-            const isWebhook = !!msg.webhookId;
-            
-            // Check if the author matches (if we're filtering by user)
-            // Note: For webhooks, we'll check based on searchingAllUsers only
-            const userMatches = searchingAllUsers || (!isWebhook && msg.author.id === targetUserId);
-            if (!userMatches) continue;
-            
-            // Check if content matches (including embeds)
-            const contentMatches = messageContainsContent(msg, searchContent);
-            if (contentMatches) {
-              matchingMessages.push(msg);
-            }
-          }
-          
-          // Check if the operation was aborted during message filtering
-          if (abortedDuringSearch) break;
-          
-          // Introduce small delay only if we're hitting rate limits
-          // This is a compromise between speed and reliability
-          if (fetched.size > 0 && fetchCount % 5 === 0) {
-            await sleep(300);
-          }
-        } while (fetched.size > 0 && !reachedCutoff);
-      } finally {
-        // Clear the animation interval if it was created
-        if (searchingAnimation) {
-          clearInterval(searchingAnimation);
-        }
+        watchArgs = buildSearchArgsFromOptions(interaction);
+      } catch (err) {
+        return await ctx.reply(err.message);
       }
-      
-      const searchDuration = (Date.now() - startTime) / 1000;
-      logger('info', `Search completed in ${searchDuration.toFixed(2)}s. Found ${matchingMessages.length} matching messages in ${fetchCount} batches.`);
-      
-      // If operation was aborted during search, clean up and exit
-      if (abortedDuringSearch || !activeOperations.has(operationId)) {
-        // Try to delete the searching message
-        try {
-          await searchingMsg.delete();
-        } catch (error) {
-          logger('warn', 'Could not delete search message after abort', error);
-        }
-        
-        // Try to send abort notification
-        try {
-          await message.channel.send('Search operation was aborted.');
-        } catch (error) {
-          logger('error', 'Failed to send abort notification', error);
-        }
-        
-        // Remove the operation if it's still there
-        activeOperations.delete(operationId);
-        return;
+      const duration = interaction.options.getString('duration');
+      return await handleCommand(ctx, `watch ${watchArgs}${duration ? ` ${duration}` : ''}`.trim());
+    }
+    
+    if (subcommand === 'schedule') {
+      const action = interaction.options.getString('action') || 'list';
+      if (action !== 'add') {
+        return await handleCommand(ctx, `schedule ${action} ${interaction.options.getString('schedule') || ''}`.trim());
       }
       
-      // Delete the "searching" message
+      let scheduleArgs;
       try {
-        await searchingMsg.delete();
-      } catch (error) {
-        logger('warn', 'Could not delete search message', error);
-      }
-      
-      if (matchingMessages.length === 0) {
-        logger('info', `No matching messages found`);
-        // Remove the operation from active operations
-        activeOperations.delete(operationId);
-        return message.reply(
-          searchingAllUsers ?
-          `No messages found containing "${searchContent}"${maxAgeMs ? ' within the last ' + formatMaxAge(maxAgeMs) : ''}.` :
-          `No messages found from <@${targetUserId}> containing "${searchContent}"${maxAgeMs ? ' within the last ' + formatMaxAge(maxAgeMs) : ''}.`
-        );
-      }
-      
-      // Sort messages by timestamp (oldest first)
-      matchingMessages.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
-      
-      // Get first and last message for links
-      const oldestMessage = matchingMessages[0];
-      const newestMessage = matchingMessages[matchingMessages.length - 1];
-      
-      const oldestDate = formatDate(oldestMessage.createdTimestamp);
-      const newestDate = formatDate(newestMessage.createdTimestamp);
-      
-      const oldestLink = getMessageLink(oldestMessage);
-      const newestLink = getMessageLink(newestMessage);
-      
-      // Count message sources but only if searching all users (optimization)
-      const sourceStats = searchingAllUsers ? {
-        user: 0,
-        bot: 0,
-        webhook: 0,
-        embed: 0
-      } : null;
-      
-      // Get unique senders if searching all users
-      let fromText = '';
-      let uniqueSenders = [];
-      
-      if (searchingAllUsers) {
-        // Optimized unique sender calculation
-        const senderMap = new Map();
-        
-        matchingMessages.forEach(msg => {
-          // Count by source type if needed
-          if (sourceStats) {
-            const sourceType = getMessageSourceType(msg);
-            sourceStats[sourceType]++;
-          }
-          
-          // Track unique senders
-          if (msg.webhookId) {
-            const webhookName = msg.author.username || 'Webhook';
-            senderMap.set('wb_' + webhookName, webhookName);
-          } else {
-            senderMap.set('u_' + msg.author.id, msg.author.id);
-          }
-        });
-        
-        // Convert to array of senders
-        uniqueSenders = Array.from(senderMap.entries()).map(([key, value]) => {
-          return { 
-            isWebhook: key.startsWith('wb_'),
-            id: value
-          };
-        });
-        
-        logger('info', `Found messages from ${uniqueSenders.length} unique sources`);
-        
-        // Format the list of senders
-        if (uniqueSenders.length <= 10) {
-          // If 10 or fewer senders, list them all
-          fromText = 'From: ' + uniqueSenders.map(sender => {
-            if (!sender.isWebhook) {
-              return `<@${sender.id}>`;
-            } else {
-              return `"${sender.id}" (Webhook)`;
-            }
-          }).join(', ');
-        } else {
-          // If more than 10 senders, show count and first few
-          const firstFew = uniqueSenders.slice(0, 5).map(sender => {
-            if (!sender.isWebhook) {
-              return `<@${sender.id}>`;
-            } else {
-              return `"${sender.id}" (Webhook)`;
-            }
-          });
-          
-          fromText = `From: ${uniqueSenders.length} sources including ` + 
-                     firstFew.join(', ') + 
-                     ` and ${uniqueSenders.length - 5} more`;
-        }
-      } else {
-        fromText = `From: <@${targetUserId}>`;
+        scheduleArgs = buildSearchArgsFromOptions(interaction);
+      } catch (err) {
+        return await ctx.reply(err.message);
       }
-      
-      // Include source statistics in the embed if there are mixed sources
-      let sourceStatsText = '';
-      if (sourceStats && (sourceStats.webhook > 0 || sourceStats.bot > 0)) {
-        sourceStatsText = '\n\nSources:';
-        if (sourceStats.user > 0) sourceStatsText += `\nUsers: ${sourceStats.user}`;
-        if (sourceStats.bot > 0) sourceStatsText += `\nBots: ${sourceStats.bot}`;
-        if (sourceStats.webhook > 0) sourceStatsText += `\nWebhooks: ${sourceStats.webhook}`;
+      const olderThan = interaction.options.getString('older-than');
+      const every = interaction.options.getString('every') || '';
+      return await handleCommand(ctx, `schedule add every ${every} ${scheduleArgs}${olderThan ? ` older:${olderThan}` : ''}`.trim());
+    }
+    
+    if (subcommand === 'dupes') {
+      let dupesArgs;
+      try {
+        dupesArgs = buildSearchArgsFromOptions(interaction);
+      } catch (err) {
+        return await ctx.reply(err.message);
       }
-      
-      // Max age info
-      const maxAgeText = maxAgeMs ? `\nMax age: ${formatMaxAge(maxAgeMs)}` : '';
-      
-      // Time range information
-      const timeRangeText = `\n\nTime range: ${oldestDate} to ${newestDate}`;
-      
-      // Message links
-      const linksText = `\n\n[Oldest Message](${oldestLink}) | [Newest Message](${newestLink})`;
-      
-      // Operation ID info (for debugging)
-      const operationText = `\n\nOperation ID: ${operationId}`;
-      
-      // Create confirmation embed
-      const embed = {
-        color: 0xFFD700, // Yellow for the embed
-        title: 'Message Deletion Confirmation',
-        description: `Found ${matchingMessages.length} messages\n${fromText}\nContaining: "${searchContent}"${maxAgeText}${sourceStatsText}${timeRangeText}${linksText}${operationText}\n\nDelete?`,
-        footer: { text: 'This action can only be performed by administrators. Use >seekndelete abort to cancel.' }
-      };
-      
-      // Create buttons
-      const row = {
-        type: 1,
-        components: [
-          {
-            type: 2,
-            style: 3, // SUCCESS (green)
-            label: 'Yes',
-            custom_id: 'confirm_delete'
-          },
-          {
-            type: 2,
-            style: 1, // PRIMARY (blue)
-            label: 'No',
-            custom_id: 'cancel_delete'
-          }
-        ]
-      };
-      
-      // Update operation status
-      activeOperations.get(operationId).type = 'awaiting_confirmation';
-      activeOperations.get(operationId).messages = matchingMessages.length;
-      
-      const confirmationMessage = await message.channel.send({ embeds: [embed], components: [row] });
-      logger('info', `Sent confirmation message with ID ${confirmationMessage.id}`);
-      
-      // Create collector for button interactions
-      const filter = i => i.member.permissions.has('ADMINISTRATOR') && ['confirm_delete', 'cancel_delete'].includes(i.customId);
-      const collector = confirmationMessage.createMessageComponentCollector({ filter, time: 60000 });
-      
-      collector.on('collect', async interaction => {
-        // Check if operation still exists
-        if (!activeOperations.has(operationId)) {
-          logger('info', `Operation ${operationId} no longer exists, ignoring button click`);
-          await interaction.reply({ content: 'This operation has been aborted.', ephemeral: true });
-          collector.stop();
-          return;
-        }
-        
-        logger('info', `Button pressed: ${interaction.customId}`, {
-          user: interaction.user.tag,
-          userId: interaction.user.id
-        });
-        
-        if (interaction.customId === 'cancel_delete') {
-          // User clicked "No"
-          logger('info', `Deletion cancelled by ${interaction.user.tag}`);
-          // Remove the operation from active operations
-          activeOperations.delete(operationId);
-          
-          try {
-            await confirmationMessage.delete();
-          } catch (error) {
-            logger('error', 'Failed to delete confirmation message', error);
-          }
-          collector.stop();
-        } else if (interaction.customId === 'confirm_delete') {
-          // User clicked "Yes"
-          logger('info', `Deletion confirmed by ${interaction.user.tag}. Starting to delete ${matchingMessages.length} messages`);
-          
-          // Update operation status
-          activeOperations.get(operationId).type = 'deleting';
-          
-          // Create a separate progress message instead of using the interaction
-          // This avoids the "Invalid Webhook Token" error when the operation takes too long
-          const progressMessage = await message.channel.send({
-            embeds: [{
-              color: 0xFFD700,
-              title: 'Deletion in progress',
-              description: `Starting deletion of ${matchingMessages.length} messages...\n\nTo cancel this operation, use command: >seekndelete abort`
-            }]
-          });
-          
-          // Store progress message in operation data
-          activeOperations.get(operationId).progressMessageId = progressMessage.id;
-          
-          // Progress callback to update the status message
-          const updateProgress = async (deleted, skipped, total) => {
-            // Check if operation still exists
-            if (!activeOperations.has(operationId)) {
-              return;
-            }
-            
-            const progressEmbed = {
-              color: 0xFFD700,
-              title: 'Deletion in progress',
-              description: `Progress: ${deleted + skipped}/${total} messages processed\nDeleted: ${deleted}\nSkipped: ${skipped}\n\nTo cancel this operation, use command: >seekndelete abort`
-            };
-            
-            try {
-              // Try to update the progress message
-              await progressMessage.edit({ embeds: [progressEmbed] });
-            } catch (error) {
-              // Just log the error but continue with the deletion
-              logger('error', 'Failed to update progress message', error);
-            }
-          };
-          
-          // Initial acknowledgement for the interaction
-          try {
-            await interaction.update({ 
-              content: 'Deletion started! You can track progress in the new message below.', 
-              embeds: [], 
-              components: [] 
-            });
-          } catch (error) {
-            logger('error', 'Failed to update interaction', error);
-            // We can still continue with the process regardless
-          }
-          
-          // Use optimized bulk deletion
-          const startTime = Date.now();
-          const result = await bulkDeleteMessages(message.channel, matchingMessages, updateProgress, operationId);
-          const deleteDuration = (Date.now() - startTime) / 1000;
-          
-          // Remove operation from active operations
-          activeOperations.delete(operationId);
-          
-          if (result.aborted) {
-            logger('info', `Deletion operation ${operationId} was manually aborted after deleting ${result.deletedCount} messages`);
-            
-            // Send aborted message
-            const abortedEmbed = {
-              color: 0xFF0000,
-              title: 'Deletion Aborted',
-              description: `The operation was manually aborted.\n\nProgress before abort:\nDeleted: ${result.deletedCount}\nSkipped: ${result.skippedCount}`
-            };
-            
-            try {
-              await progressMessage.edit({ embeds: [abortedEmbed] });
-            } catch (error) {
-              logger('error', 'Failed to update abort message', error);
-              try {
-                await message.channel.send({
-                  embeds: [abortedEmbed],
-                  content: '(Previous message update failed)'
-                });
-              } catch (secondError) {
-                logger('error', 'Failed to send abort message', secondError);
-              }
-            }
-          } else {
-            logger('info', `Deletion complete in ${deleteDuration.toFixed(2)}s. Deleted: ${result.deletedCount}, Skipped: ${result.skippedCount}`);
-            
-            // Send completion message by updating the progress message
-            const completionEmbed = {
-              color: 0x00ff00,
-              title: 'Deletion Complete',
-              description: `Successfully deleted ${result.deletedCount} messages in ${deleteDuration.toFixed(1)}s`
-            };
-            
-            if (result.skippedCount > 0) {
-              completionEmbed.description += `\nSkipped: ${result.skippedCount} messages`;
-            }
-            
-            try {
-              await progressMessage.edit({ embeds: [completionEmbed] });
-            } catch (error) {
-              logger('error', 'Failed to update completion message', error);
-              // Try to send a new message as a last resort
-              try {
-                await message.channel.send({
-                  embeds: [completionEmbed],
-                  content: '(Previous message update failed)'
-                });
-              } catch (secondError) {
-                logger('error', 'Failed to send completion message', secondError);
-              }
-            }
-          }
-          
-          collector.stop();
-        }
-      });
-      
-      collector.on('end', (collected, reason) => {
-        // Check if operation still exists
-        if (!activeOperations.has(operationId)) {
-          return;
-        }
-        
-        if (reason === 'time') {
-          logger('info', `Confirmation timed out after 60 seconds`);
-          // Remove operation from active operations
-          activeOperations.delete(operationId);
-          
-          try {
-            confirmationMessage.edit({ content: 'Confirmation timed out.', embeds: [], components: [] });
-          } catch (error) {
-            logger('error', 'Failed to edit confirmation message after timeout', error);
-          }
-        }
-      });
-      
-    } catch (error) {
-      logger('error', `Error while processing command`, error);
-      // Make sure to clean up the operation on error
-      activeOperations.delete(operationId);
-      
+      const minCopies = interaction.options.getInteger('min-copies');
+      return await handleCommand(ctx, `dupes ${dupesArgs}${minCopies ? ` --min-copies=${minCopies}` : ''}`.trim());
+    }
+    
+    if (subcommand === 'modlog') {
+      const modLogChannel = interaction.options.getChannel('channel');
+      const disable = interaction.options.getBoolean('disable');
+      return await handleCommand(ctx, disable ? 'modlog off' : (modLogChannel ? `modlog <#${modLogChannel.id}>` : 'modlog'));
+    }
+    
+    if (subcommand === 'restore') {
+      return await handleCommand(ctx, `restore ${interaction.options.getString('operation')} ${interaction.options.getString('filter') || ''}`.trim());
+    }
+    
+    if (subcommand !== 'search') {
+      const operationId = interaction.options.getString('operation');
+      return await handleCommand(ctx, operationId ? `${subcommand} ${operationId}` : subcommand);
+    }
+    
+    let args;
+    try {
+      args = buildSearchArgsFromOptions(interaction);
+    } catch (err) {
+      return await ctx.reply(err.message);
+    }
+    
+    // Save the search for autocomplete if asked to - only valid queries are kept
+    const saveAs = interaction.options.getString('save-as');
+    if (saveAs && checkAccess(ctx.member, 'search').allowed) {
       try {
-        await message.reply('An error occurred while processing your command.');
-      } catch (replyError) {
-        logger('error', 'Failed to send error reply', replyError);
+        parseSearchArgs(args);
+        saveSearch(interaction.guildId, saveAs, args, interaction.user.id);
+      } catch (err) {
+        if (!(err instanceof QueryParseError)) {
+          await ctx.reply(`Could not save the search: ${err.message}`);
+        }
       }
     }
+    
+    await handleCommand(ctx, args);
+  } catch (error) {
+    logger('error', 'Error while processing slash command', error);
   }
 });
 
+// Helper function to turn the typed slash command options into prefix-style search arguments
+function buildSearchArgsFromOptions(interaction) {
+  const term = interaction.options.getString('term');
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  const channel = interaction.options.getChannel('channel');
+  const category = interaction.options.getChannel('category');
+  const scope = interaction.options.getString('scope');
+  const maxAge = interaction.options.getString('max-age');
+  const filters = interaction.options.getString('filters');
+  const savedName = interaction.options.getString('saved');
+  const normalized = interaction.options.getBoolean('normalized');
+  const dryRun = interaction.options.getBoolean('dry-run');
+  const format = interaction.options.getString('format');
+  
+  if (term && term.includes('"')) {
+    throw new Error('The term option cannot contain double quotes. Use the filters option for advanced queries.');
+  }
+  
+  const parts = [];
+  
+  if (savedName) {
+    const saved = getSavedSearches(interaction.guildId).find(search => search.name.toLowerCase() === savedName.toLowerCase());
+    if (!saved) {
+      throw new Error(`There is no saved search called "${savedName}".`);
+    }
+    parts.push(saved.args);
+  }
+  
+  if (term) parts.push(`"${term}"`);
+  if (filters) parts.push(filters);
+  if (user) parts.push(`<@${user.id}>`);
+  if (role) parts.push(`<@&${role.id}>`);
+  if (channel) parts.push(`<#${channel.id}>`);
+  if (category) parts.push(`in:category:${category.id}`);
+  if (scope === 'guild') parts.push('in:guild');
+  if (normalized) parts.push('--normalized');
+  if (dryRun) parts.push('--dry-run');
+  if (format) parts.push(`--format=${format}`);
+  if (maxAge) parts.push(maxAge);
+  
+  return parts.join(' ');
+}
+
+// Autocomplete for the saved search option
+async function handleSavedSearchAutocomplete(interaction) {
+  const focused = interaction.options.getFocused().toLowerCase();
+  
+  const choices = getSavedSearches(interaction.guildId)
+    .filter(search => search.name.toLowerCase().includes(focused) || search.args.toLowerCase().includes(focused))
+    .slice(0, MAX_SAVED_SEARCHES)
+    .map(search => ({
+      name: `${search.name}: ${search.args}`.substring(0, 100), // Choice names are limited to 100 characters
+      value: search.name
+    }));
+  
+  try {
+    await interaction.respond(choices);
+  } catch (error) {
+    logger('error', 'Failed to respond to autocomplete', error);
+  }
+}
+
 // Error handling for the Discord client
 client.on('error', error => {
   logger('error', 'Discord client error', error);